@@ -3,24 +3,300 @@
    ============================================
 
    RESPONSIBILITIES:
-   1. Split-text hero title animation
-   2. Scroll-triggered reveals (IntersectionObserver)
-   3. Contact bar in-view detection
-   4. Scroll-linked parallax (--scroll-y)
-   5. Hero content parallax + opacity fade
-   6. Nav scroll behavior
-   7. Mobile nav toggle
-   8. Lightbox
-   9. Gallery filter
-   10. Contact form
+   1. Motion preferences: full / reduced / off (footer control)
+   2. Theme: light / dark / system (nav toggle)
+   3. Split-text hero title animation
+   4. Reveal engine: scroll reveals, stagger, scrubbed
+      progress + window.Motion API (IntersectionObserver)
+   5. Contact bar in-view detection (reveal preset)
+   6. Count-up stats on reveal
+   7. Scroll-linked parallax (--scroll-y)
+   8. Hero content parallax + opacity fade
+   9. Nav scroll behavior
+   10. Mobile nav: modal menu, focus trap, scroll lock, swipe
+   11. Lightbox (grouped, zoom/pan, swipe)
+   12. Gallery filter (multi-facet, URL-synced)
+   13. Instagram embed facades (click-to-load, lightbox posters)
+   14. Case study explorer: facets, expand, compare, deep links
+   15. Blog index filter, sort + load more
+   16. Post footer: related posts + prev/next reveal (built by build-pages.js)
+   17. Article TOC, scroll-spy, reading progress + read time
+   18. Code blocks: highlighting, line numbers, copy, collapse
+   19. Contact form + conversational form (POST /api/contact)
+   20. Site search overlay (prebuilt search-index.json)
+   21. Page transitions: prefetch + <main> swap (client-side nav)
+   22. Analytics: cookie-less page views, scroll depth, outbound
+       clicks + convo funnel (POST /api/collect)
+   23. Offline: service worker registration (sw.js), failed-send notices
 
    ============================================ */
 
 (function () {
     'use strict';
 
-    /* --- REDUCED MOTION CHECK --- */
-    const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    /* --- SITE ROOT ---
+       main.js sits at the site root, so its own URL anchors
+       root-level assets for pages in subfolders (blog/). */
+    var SITE_ROOT = document.currentScript
+        ? new URL('.', document.currentScript.src).href
+        : new URL('.', window.location.href).href;
+
+    /* --- PAGE LIFETIME ---
+       Page modules (initPage) pass { signal: pageSignal() } to
+       any window/document listener. PAGE TRANSITIONS aborts the
+       signal before swapping in the next page, so listeners
+       that point at the old <main> go away with it. */
+    var pageLifetime = window.AbortController ? new AbortController() : null;
+
+    function pageSignal() {
+        return pageLifetime ? pageLifetime.signal : undefined;
+    }
+
+    /* ============================================
+       MOTION PREFERENCES
+       ============================================
+       Three levels, exposed to CSS as classes on <html>:
+
+         full     — .motion-full: everything animates, even
+                    under prefers-reduced-motion
+         reduced  — .motion-reduced: no parallax, drift,
+                    slides or count-ups, and CSS transitions
+                    and animations cut; content is shown in
+                    its final state (the OS default when
+                    prefers-reduced-motion is set)
+         none     — .motion-reduced.motion-off: no smooth
+                    scrolling either
+
+       animations.css applies the OS setting by itself too, so
+       it holds before this runs; the inline <head> script
+       applies a saved choice before first paint.
+
+       A radio group in the footer lets visitors pick a level;
+       the choice is kept in localStorage. "System" clears it
+       and follows the OS setting again, live.
+    */
+
+    var MOTION_LEVELS = ['full', 'reduced', 'none'];
+    var MOTION_STORAGE_KEY = 'motion-preference';
+    var MOTION_CHOICES = [
+        { value: 'system', label: 'System' },
+        { value: 'full', label: 'Full' },
+        { value: 'reduced', label: 'Reduced' },
+        { value: 'none', label: 'Off' },
+    ];
+
+    /* --- REDUCED MOTION CHECK ---
+       Not a constant: the visitor can change it from the footer
+       and the OS setting can change under us. Read it when you
+       need it; listen for `motion:change` on document to react
+       to a switch. */
+    var motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    var motionChoice = storedMotionLevel();     // null → follow the OS
+    var motionLevel = resolveMotionLevel();
+    var prefersReducedMotion = motionLevel !== 'full';
+    applyMotionLevel();
+
+    function storedMotionLevel() {
+        try {
+            var value = localStorage.getItem(MOTION_STORAGE_KEY);
+            return MOTION_LEVELS.indexOf(value) !== -1 ? value : null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    function resolveMotionLevel() {
+        return motionChoice || (motionQuery.matches ? 'reduced' : 'full');
+    }
+
+    function applyMotionLevel() {
+        var root = document.documentElement;
+        root.classList.toggle('motion-full', motionLevel === 'full');
+        root.classList.toggle('motion-reduced', motionLevel !== 'full');
+        root.classList.toggle('motion-off', motionLevel === 'none');
+    }
+
+    /**
+     * Re-resolve the level after the visitor's choice or the OS setting
+     * changed. Fires `motion:change` ({ level, reduced }) on document
+     * when the effective level actually moved.
+     */
+    function updateMotionLevel() {
+        var level = resolveMotionLevel();
+        if (level === motionLevel) return;
+
+        motionLevel = level;
+        prefersReducedMotion = level !== 'full';
+        applyMotionLevel();
+        document.dispatchEvent(new CustomEvent('motion:change', {
+            detail: { level: level, reduced: prefersReducedMotion },
+        }));
+    }
+
+    function initMotionPreferences() {
+        if (motionQuery.addEventListener) {
+            motionQuery.addEventListener('change', updateMotionLevel);
+        } else if (motionQuery.addListener) {
+            motionQuery.addListener(updateMotionLevel);
+        }
+
+        // Keep other open tabs in step with a choice made here
+        window.addEventListener('storage', function (e) {
+            if (e.key !== MOTION_STORAGE_KEY) return;
+            motionChoice = storedMotionLevel();
+            syncMotionPanel();
+            updateMotionLevel();
+        });
+
+        var footer = document.querySelector('.footer__bottom');
+        if (!footer) return;
+
+        var panel = document.createElement('fieldset');
+        panel.className = 'motion-pref';
+        panel.innerHTML = '<legend class="motion-pref__legend">Motion</legend>' +
+            MOTION_CHOICES.map(function (choice) {
+                return '<label class="motion-pref__option">' +
+                    '<input type="radio" name="motion-preference" value="' + choice.value + '"' +
+                    '>' +
+                    '<span>' + choice.label + '</span></label>';
+            }).join('');
+
+        panel.addEventListener('change', function (e) {
+            var value = e.target.value;
+            motionChoice = value === 'system' ? null : value;
+            try {
+                if (value === 'system') {
+                    localStorage.removeItem(MOTION_STORAGE_KEY);
+                } else {
+                    localStorage.setItem(MOTION_STORAGE_KEY, value);
+                }
+            } catch (err) { /* private mode — the choice lasts for this page only */ }
+            updateMotionLevel();
+        });
+
+        footer.insertBefore(panel, footer.lastElementChild);
+        syncMotionPanel();
+    }
+
+    function syncMotionPanel() {
+        var current = motionChoice || 'system';
+        document.querySelectorAll('.motion-pref input').forEach(function (input) {
+            input.checked = input.value === current;
+        });
+    }
+
+    /* ============================================
+       THEME — LIGHT / DARK / SYSTEM
+       ============================================
+       The inline script in every page's <head> sets
+       data-theme on <html> before first paint. This adds
+       the toggle to the nav and the mobile nav, saves the
+       choice in localStorage, and follows the OS color
+       scheme live while the choice is "system". The
+       theme-color meta follows along, so the browser
+       chrome matches the page.
+
+       Fires `theme:change` ({ theme, choice }) on document
+       whenever the applied theme flips.
+    */
+
+    var THEME_STORAGE_KEY = 'theme';
+    var THEME_CHOICES = ['system', 'light', 'dark'];    // the toggle cycles in this order
+    var THEME_LABELS = { system: 'System theme', light: 'Light theme', dark: 'Dark theme' };
+    var THEME_ICONS = {
+        system: '<svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="1.75" aria-hidden="true"><circle cx="12" cy="12" r="8"/><path d="M12 4a8 8 0 0 1 0 16z" fill="currentColor"/></svg>',
+        light: '<svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="1.75" stroke-linecap="round" aria-hidden="true"><circle cx="12" cy="12" r="4"/><path d="M12 2v2M12 20v2M4.9 4.9l1.4 1.4M17.7 17.7l1.4 1.4M2 12h2M20 12h2M4.9 19.1l1.4-1.4M17.7 6.3l1.4-1.4"/></svg>',
+        dark: '<svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="1.75" stroke-linejoin="round" aria-hidden="true"><path d="M20 14.5A8 8 0 0 1 9.5 4a8 8 0 1 0 10.5 10.5z"/></svg>',
+    };
+
+    var THEME_COLORS = { light: '#FAF8F5', dark: '#0A0A0A' };    // --bg-primary, for <meta name="theme-color">
+
+    var themeQuery = window.matchMedia('(prefers-color-scheme: light)');
+    var themeChoice = storedTheme() || 'system';
+
+    function storedTheme() {
+        try {
+            var value = localStorage.getItem(THEME_STORAGE_KEY);
+            return value === 'light' || value === 'dark' ? value : null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    function applyTheme() {
+        var theme = themeChoice === 'system' ? (themeQuery.matches ? 'light' : 'dark') : themeChoice;
+        var root = document.documentElement;
+
+        var themeColor = document.querySelector('meta[name="theme-color"]');
+        if (themeColor) themeColor.setAttribute('content', THEME_COLORS[theme]);
+
+        if (root.getAttribute('data-theme') !== theme) {
+            root.setAttribute('data-theme', theme);
+            document.dispatchEvent(new CustomEvent('theme:change', {
+                detail: { theme: theme, choice: themeChoice },
+            }));
+        }
+
+        document.querySelectorAll('.theme-toggle').forEach(syncThemeToggle);
+    }
+
+    function nextThemeChoice() {
+        return THEME_CHOICES[(THEME_CHOICES.indexOf(themeChoice) + 1) % THEME_CHOICES.length];
+    }
+
+    function syncThemeToggle(btn) {
+        var label = THEME_LABELS[themeChoice] + ' (switch to ' + THEME_LABELS[nextThemeChoice()].toLowerCase() + ')';
+        btn.innerHTML = THEME_ICONS[themeChoice] +
+            '<span class="theme-toggle__label" aria-hidden="true">' + THEME_LABELS[themeChoice] + '</span>';
+        btn.setAttribute('aria-label', label);
+        btn.title = label;
+    }
+
+    function createThemeToggle(modifier) {
+        var btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'theme-toggle theme-toggle--' + modifier;
+        btn.addEventListener('click', function () {
+            themeChoice = nextThemeChoice();
+            try {
+                if (themeChoice === 'system') {
+                    localStorage.removeItem(THEME_STORAGE_KEY);
+                } else {
+                    localStorage.setItem(THEME_STORAGE_KEY, themeChoice);
+                }
+            } catch (err) { /* private mode — the choice lasts for this page only */ }
+            applyTheme();
+        });
+        return btn;
+    }
+
+    function initTheme() {
+        var navInner = document.querySelector('.nav__inner');
+        if (navInner) {
+            navInner.insertBefore(createThemeToggle('nav'), document.getElementById('navToggle'));
+        }
+
+        var mobileNav = document.getElementById('mobileNav');
+        if (mobileNav) {
+            (mobileNav.querySelector('.mobile-nav__footer') || mobileNav).appendChild(createThemeToggle('mobile'));
+        }
+
+        if (themeQuery.addEventListener) {
+            themeQuery.addEventListener('change', applyTheme);
+        } else if (themeQuery.addListener) {
+            themeQuery.addListener(applyTheme);
+        }
+
+        // Keep other open tabs in step with a choice made here
+        window.addEventListener('storage', function (e) {
+            if (e.key !== THEME_STORAGE_KEY) return;
+            themeChoice = storedTheme() || 'system';
+            applyTheme();
+        });
+
+        // Also corrects a page whose <head> snippet is missing
+        applyTheme();
+    }
 
     /* ============================================
        SPLIT-TEXT: HERO TITLE
@@ -63,166 +339,331 @@
     }
 
     /* ============================================
-       SCROLL REVEALS (IntersectionObserver)
+       REVEAL ENGINE (IntersectionObserver)
        ============================================
-       Observes all .reveal elements.
-       Adds .visible when they enter the viewport.
-       Different CSS classes handle different reveal styles —
-       JS doesn't need to know the type.
+       One engine for everything that animates into view.
+       Built-in presets keep the page markup unchanged:
+
+         .reveal                    → .visible  (threshold 0, early margin)
+         .pull-quote, .stat-callout → .visible  (threshold 0.25)
+         .contact-bar               → .in-view  (threshold 0.2)
+         [data-reveal="cls"]        → cls (default .visible)
+
+       Any of them can be tuned with attributes:
+
+         data-reveal-threshold="0.5"  share of the element in view
+         data-reveal-delay="250"      delay in ms (data-delay too)
+         data-reveal-stagger="80"     reveal direct children one
+                                      after another, 80ms apart
+         data-reveal-once="false"     replay: remove the class when
+                                      the element scrolls back out
+         data-reveal-progress         set --reveal-progress (0 → 1)
+                                      as the element crosses the
+                                      viewport, for scroll-scrubbed CSS
+
+       Different CSS classes handle the look — JS only
+       toggles the class, then fires a non-bubbling
+       `motion:reveal` event ({ visible }) on the element
+       for scripts that need to react (counters). Content
+       added later registers itself through window.Motion.
     */
 
-    function initScrollReveals() {
-        var revealElements = document.querySelectorAll('.reveal');
-        if (!revealElements.length) return;
+    var REVEAL_PRESETS = [
+        { selector: '.reveal', className: 'visible', threshold: 0, rootMargin: '50px 0px -60px 0px' },
+        { selector: '.pull-quote, .stat-callout', className: 'visible', threshold: 0.25 },
+        { selector: '.contact-bar', className: 'in-view', threshold: 0.2 },
+        { selector: '[data-reveal]', className: 'visible', threshold: 0 },
+    ];
 
-        if (!('IntersectionObserver' in window) || prefersReducedMotion) {
-            revealElements.forEach(function (el) {
-                el.classList.add('visible');
+    var revealed = new WeakMap();   // element → options, for everything registered
+    var revealObservers = {};       // "threshold|rootMargin" → IntersectionObserver
+    var revealPending = [];         // once-only elements still waiting to show
+    var revealElements = [];        // everything registered, in order
+    var progressElements = [];
+
+    function numberAttr(el, name) {
+        var value = parseFloat(el.getAttribute(name));
+        return isFinite(value) ? value : null;
+    }
+
+    function revealOptions(el, preset, overrides) {
+        overrides = overrides || {};
+        var threshold = numberAttr(el, 'data-reveal-threshold');
+        var delay = numberAttr(el, 'data-reveal-delay');
+        if (delay === null) delay = numberAttr(el, 'data-delay');
+        var stagger = numberAttr(el, 'data-reveal-stagger');
+
+        return {
+            className: overrides.className || el.getAttribute('data-reveal') || preset.className || 'visible',
+            threshold: overrides.threshold !== undefined ? overrides.threshold : threshold !== null ? threshold : preset.threshold || 0,
+            rootMargin: overrides.rootMargin || preset.rootMargin || '0px',
+            delay: overrides.delay !== undefined ? overrides.delay : delay,
+            stagger: overrides.stagger !== undefined ? overrides.stagger : stagger,
+            once: overrides.once !== undefined ? overrides.once : el.getAttribute('data-reveal-once') !== 'false',
+        };
+    }
+
+    function setRevealed(el, on) {
+        var opts = revealed.get(el);
+        if (!opts || el.classList.contains(opts.className) === on) return;
+        el.classList.toggle(opts.className, on);
+        el.dispatchEvent(new CustomEvent('motion:reveal', { detail: { visible: on } }));
+        if (opts.stagger !== null) {
+            Array.prototype.forEach.call(el.children, function (child) {
+                child.classList.toggle(opts.className, on);
             });
-            return;
         }
+    }
 
-        var revealObserver = new IntersectionObserver(
-            function (entries) {
+    function revealObserverFor(opts) {
+        var key = opts.threshold + '|' + opts.rootMargin;
+        if (!revealObservers[key]) {
+            revealObservers[key] = new IntersectionObserver(function (entries, observer) {
                 entries.forEach(function (entry) {
+                    var el = entry.target;
+                    var elOpts = revealed.get(el);
+                    if (!elOpts) return;
                     if (entry.isIntersecting) {
-                        entry.target.classList.add('visible');
-                        revealObserver.unobserve(entry.target);
+                        setRevealed(el, true);
+                        if (elOpts.once) observer.unobserve(el);
+                    } else if (!elOpts.once && !prefersReducedMotion) {
+                        setRevealed(el, false);
                     }
                 });
-            },
-            {
-                threshold: 0,
-                rootMargin: '50px 0px -60px 0px',
-            }
-        );
+            }, { threshold: opts.threshold, rootMargin: opts.rootMargin });
+        }
+        return revealObservers[key];
+    }
+
+    function registerReveal(el, preset, overrides) {
+        if (revealed.has(el)) return;
+        var opts = revealOptions(el, preset, overrides);
+        revealed.set(el, opts);
+        revealElements.push(el);
+
+        if (opts.delay !== null) el.style.transitionDelay = opts.delay + 'ms';
+        if (opts.stagger !== null) {
+            Array.prototype.forEach.call(el.children, function (child, i) {
+                child.classList.add('reveal-child');
+                child.style.transitionDelay = ((opts.delay || 0) + i * opts.stagger) + 'ms';
+            });
+        }
+
+        if (el.hasAttribute('data-reveal-progress')) progressElements.push(el);
+
+        if (!('IntersectionObserver' in window) || prefersReducedMotion) {
+            setRevealed(el, true);
+            return;
+        }
+
+        revealObserverFor(opts).observe(el);
+        if (opts.once) revealPending.push(el);
+    }
+
+    function unregisterReveal(el) {
+        var opts = revealed.get(el);
+        if (!opts) return;
+        Object.keys(revealObservers).forEach(function (key) {
+            revealObservers[key].unobserve(el);
+        });
+        revealed.delete(el);
+        revealPending = revealPending.filter(function (item) { return item !== el; });
+        revealElements = revealElements.filter(function (item) { return item !== el; });
+        progressElements = progressElements.filter(function (item) { return item !== el; });
+    }
 
-        revealElements.forEach(function (el) {
-            revealObserver.observe(el);
+    function scanReveals(root) {
+        REVEAL_PRESETS.forEach(function (preset) {
+            if (root.nodeType === 1 && root.matches(preset.selector)) registerReveal(root, preset);
+            root.querySelectorAll(preset.selector).forEach(function (el) {
+                registerReveal(el, preset);
+            });
         });
+    }
+
+    /* --- Scroll work: missed reveals + progress (rAF-throttled) --- */
+
+    var revealTicking = false;
 
-        // Scroll-based fallback for elements the observer misses
-        // (can happen during fast scrolling or on ultrawide viewports)
-        var pending = Array.from(revealElements);
-        var fallbackTicking = false;
+    function onRevealScroll() {
+        if (revealTicking) return;
+        revealTicking = true;
+        requestAnimationFrame(function () {
+            var viewport = window.innerHeight;
 
-        function checkFallback() {
-            for (var i = pending.length - 1; i >= 0; i--) {
-                var el = pending[i];
-                if (el.classList.contains('visible')) {
-                    pending.splice(i, 1);
+            // Fallback for elements the observer misses
+            // (can happen during fast scrolling or on ultrawide viewports)
+            for (var i = revealPending.length - 1; i >= 0; i--) {
+                var el = revealPending[i];
+                var opts = revealed.get(el);
+                if (!opts || el.classList.contains(opts.className)) {
+                    revealPending.splice(i, 1);
                     continue;
                 }
                 var rect = el.getBoundingClientRect();
-                if (rect.top < window.innerHeight && rect.bottom > 0) {
-                    el.classList.add('visible');
-                    revealObserver.unobserve(el);
-                    pending.splice(i, 1);
+                if (rect.top < viewport && rect.bottom > 0) {
+                    setRevealed(el, true);
+                    revealObserverFor(opts).unobserve(el);
+                    revealPending.splice(i, 1);
                 }
             }
-            fallbackTicking = false;
-            if (!pending.length) {
-                window.removeEventListener('scroll', onScrollFallback);
-            }
-        }
 
-        function onScrollFallback() {
-            if (!fallbackTicking) {
-                fallbackTicking = true;
-                requestAnimationFrame(checkFallback);
-            }
-        }
+            // 0 as the top edge enters at the bottom, 1 as the bottom edge leaves
+            // at the top — pinned to 1 (the finished state) with reduced motion
+            progressElements.forEach(function (el) {
+                var box = el.getBoundingClientRect();
+                var progress = prefersReducedMotion ? 1 : (viewport - box.top) / (viewport + box.height);
+                el.style.setProperty('--reveal-progress', Math.min(1, Math.max(0, progress)).toFixed(3));
+            });
 
-        window.addEventListener('scroll', onScrollFallback, { passive: true });
-        // Also run once immediately for elements already in view
-        requestAnimationFrame(checkFallback);
+            revealTicking = false;
+        });
     }
 
-    /* ============================================
-       PULL QUOTE REVEAL
-       ============================================ */
+    function initRevealEngine() {
+        scanReveals(document);
 
-    function initPullQuoteReveals() {
-        var pullQuotes = document.querySelectorAll('.pull-quote');
-        if (!pullQuotes.length) return;
+        window.addEventListener('scroll', onRevealScroll, { passive: true });
+        window.addEventListener('resize', onRevealScroll);
+        // Also run once immediately for elements already in view
+        onRevealScroll();
 
-        if (!('IntersectionObserver' in window) || prefersReducedMotion) {
-            pullQuotes.forEach(function (q) { q.classList.add('visible'); });
-            return;
-        }
+        // Switching to reduced motion shows everything still waiting;
+        // switching back only affects what registers from then on
+        document.addEventListener('motion:change', function (e) {
+            if (e.detail.reduced) {
+                revealElements.forEach(function (el) {
+                    setRevealed(el, true);
+                    Object.keys(revealObservers).forEach(function (key) {
+                        revealObservers[key].unobserve(el);
+                    });
+                });
+            }
+            onRevealScroll();
+        });
 
-        var quoteObserver = new IntersectionObserver(
-            function (entries) {
-                entries.forEach(function (entry) {
-                    if (entry.isIntersecting) {
-                        entry.target.classList.add('visible');
-                        quoteObserver.unobserve(entry.target);
-                    }
+        /**
+         * window.Motion — for content inserted after load:
+         *
+         *   Motion.register(el | selector | NodeList, { className, threshold,
+         *                   delay, stagger, once })   options override attributes
+         *   Motion.refresh(root)     pick up preset/[data-reveal] elements under root
+         *   Motion.reveal(el)        show now, skipping the observer
+         *   Motion.unregister(el)
+         *   Motion.reducedMotion     true when the visitor prefers less motion
+         *   Motion.level             'full' | 'reduced' | 'none'
+         *
+         * Both properties are live; `motion:change` on document says when.
+         */
+        window.Motion = {
+            get reducedMotion() { return prefersReducedMotion; },
+            get level() { return motionLevel; },
+            register: function (target, options) {
+                var els = typeof target === 'string' ? document.querySelectorAll(target)
+                    : target && target.length !== undefined ? target : [target];
+                Array.prototype.forEach.call(els, function (el) {
+                    if (el) registerReveal(el, REVEAL_PRESETS[REVEAL_PRESETS.length - 1], options);
                 });
+                onRevealScroll();
             },
-            { threshold: 0.25 }
-        );
-
-        pullQuotes.forEach(function (q) { quoteObserver.observe(q); });
+            refresh: function (root) {
+                // Forget elements that left the document (swapped-out pages)
+                revealElements.filter(function (el) { return !document.contains(el); }).forEach(unregisterReveal);
+                scanReveals(root || document);
+                onRevealScroll();
+            },
+            reveal: function (el) {
+                if (!revealed.has(el)) registerReveal(el, REVEAL_PRESETS[REVEAL_PRESETS.length - 1], { once: true });
+                setRevealed(el, true);
+            },
+            unregister: unregisterReveal,
+        };
     }
 
     /* ============================================
-       STAT CALLOUT REVEAL
-       ============================================ */
+       COUNTERS — COUNT-UP ON REVEAL
+       ============================================
+       .stat-callout__number, .photo-stats__num and any
+       [data-count-up] element count up from zero the first
+       time they come into view. The final value is parsed
+       from the text itself — prefix, number, suffix — so
+       "12+", "1.4K", "96.4%" and "$2,500" all work, keeping
+       their decimals and using the page locale's separators.
 
-    function initStatCalloutReveals() {
-        var statCallouts = document.querySelectorAll('.stat-callout');
-        if (!statCallouts.length) return;
+       The visible digits are aria-hidden; a visually-hidden
+       copy of the real value is what screen readers get.
+       With reduced motion the text is left untouched, and a
+       counter revealed after motion was turned down jumps
+       straight to its final value.
+    */
 
-        if (!('IntersectionObserver' in window) || prefersReducedMotion) {
-            statCallouts.forEach(function (s) { s.classList.add('visible'); });
-            return;
-        }
+    var COUNTER_SELECTOR = '.stat-callout__number, .photo-stats__num, [data-count-up]';
+    var COUNTER_DURATION = 1600;
 
-        var statObserver = new IntersectionObserver(
-            function (entries) {
-                entries.forEach(function (entry) {
-                    if (entry.isIntersecting) {
-                        entry.target.classList.add('visible');
-                        statObserver.unobserve(entry.target);
-                    }
-                });
-            },
-            { threshold: 0.25 }
-        );
+    function parseCount(text) {
+        var match = /^(\D*?)(-?\d[\d,]*(?:\.\d+)?)(.*)$/.exec(text.trim());
+        if (!match) return null;
+        var digits = match[2].replace(/,/g, '');
+        var dot = digits.indexOf('.');
+        return {
+            prefix: match[1],
+            value: parseFloat(digits),
+            decimals: dot === -1 ? 0 : digits.length - dot - 1,
+            suffix: match[3],
+        };
+    }
 
-        statCallouts.forEach(function (s) { statObserver.observe(s); });
+    function easeOutExpo(t) {
+        return t >= 1 ? 1 : 1 - Math.pow(2, -10 * t);
     }
 
-    /* ============================================
-       CONTACT BAR — IN-VIEW DETECTION
-       ============================================
-       The CSS uses .contact-bar.in-view to trigger
-       the accent line scaleX draw animation.
-    */
+    function initCounters() {
+        var counters = document.querySelectorAll(COUNTER_SELECTOR);
+        if (!counters.length || prefersReducedMotion) return;
 
-    function initContactBarReveal() {
-        var contactBar = document.querySelector('.contact-bar');
-        if (!contactBar) return;
+        var locale = document.documentElement.lang || undefined;
 
-        if (!('IntersectionObserver' in window) || prefersReducedMotion) {
-            contactBar.classList.add('in-view');
-            return;
-        }
+        counters.forEach(function (el) {
+            var count = parseCount(el.textContent);
+            if (!count) return;
 
-        var barObserver = new IntersectionObserver(
-            function (entries) {
-                entries.forEach(function (entry) {
-                    if (entry.isIntersecting) {
-                        entry.target.classList.add('in-view');
-                        barObserver.unobserve(entry.target);
-                    }
+            var format = new Intl.NumberFormat(locale, {
+                minimumFractionDigits: count.decimals,
+                maximumFractionDigits: count.decimals,
+            });
+            var duration = parseFloat(el.getAttribute('data-count-duration')) || COUNTER_DURATION;
+            var finalText = el.textContent.trim();
+
+            el.innerHTML = '<span class="count-up" aria-hidden="true"></span>' +
+                '<span class="visually-hidden">' + escapeHTML(finalText) + '</span>';
+            var display = el.firstChild;
+
+            function render(value) {
+                display.textContent = count.prefix + format.format(value) + count.suffix;
+            }
+
+            render(0);
+
+            el.addEventListener('motion:reveal', function onReveal(e) {
+                if (!e.detail.visible) return;
+                el.removeEventListener('motion:reveal', onReveal);
+
+                if (prefersReducedMotion) {
+                    render(count.value);
+                    return;
+                }
+
+                var start = null;
+                requestAnimationFrame(function step(now) {
+                    if (start === null) start = now;
+                    var t = Math.min(1, (now - start) / duration);
+                    render(count.value * easeOutExpo(t));
+                    if (t < 1) requestAnimationFrame(step);
                 });
-            },
-            { threshold: 0.2 }
-        );
+            });
 
-        barObserver.observe(contactBar);
+            window.Motion.register(el, { className: 'counted', threshold: 0.5 });
+        });
     }
 
     /* ============================================
@@ -232,13 +673,16 @@
        animations.css can use it for grain parallax.
 
        Also handles hero content parallax (translateY + opacity fade).
+       Both stand still while motion is reduced.
     */
 
-    function initScrollLinked() {
-        if (prefersReducedMotion) return;
-
+    function findHeroContent() {
         var hero = document.getElementById('hero');
-        var heroContent = hero ? hero.querySelector('.hero__content') : null;
+        return hero ? hero.querySelector('.hero__content') : null;
+    }
+
+    function initScrollLinked() {
+        var heroContent = findHeroContent();
         var ticking = false;
 
         function onScroll() {
@@ -246,6 +690,9 @@
             ticking = true;
 
             requestAnimationFrame(function () {
+                ticking = false;
+                if (prefersReducedMotion) return;
+
                 var scrollY = window.scrollY;
 
                 // Set CSS custom property for grain parallax
@@ -257,12 +704,28 @@
                     heroContent.style.transform = 'translateY(' + (scrollY * 0.18) + 'px)';
                     heroContent.style.opacity = Math.max(0, 1 - progress);
                 }
-
-                ticking = false;
             });
         }
 
         window.addEventListener('scroll', onScroll, { passive: true });
+
+        // The hero comes and goes with client-side navigation
+        document.addEventListener('page:load', function () {
+            heroContent = findHeroContent();
+            onScroll();
+        });
+
+        document.addEventListener('motion:change', function (e) {
+            if (!e.detail.reduced) {
+                onScroll();
+                return;
+            }
+            document.documentElement.style.removeProperty('--scroll-y');
+            if (heroContent) {
+                heroContent.style.transform = '';
+                heroContent.style.opacity = '';
+            }
+        });
     }
 
     /* ============================================
@@ -287,370 +750,4117 @@
     }
 
     /* ============================================
-       MOBILE NAV TOGGLE
-       ============================================ */
+       MOBILE NAV
+       ============================================
+       #navToggle opens #mobileNav as a modal menu:
+
+         - aria-expanded / aria-controls on the toggle,
+           role="dialog" + aria-modal on the overlay
+         - focus moves to the first link and is trapped
+           between the toggle (which doubles as Close)
+           and the menu; everything else goes inert
+         - Escape, a swipe left/right, or widening past
+           the mobile breakpoint closes it; focus returns
+           to the toggle unless a link was followed
+         - background scroll is locked by pinning <body>
+           (position: fixed), the only lock iOS Safari honors
+
+       The staggered link entrance (--i) stays in CSS.
+    */
+
+    var MOBILE_NAV_DESKTOP = '(min-width: 769px)';
+    var MOBILE_NAV_SWIPE = 80;     // px of horizontal travel that closes the menu
+
+    function focusableIn(root) {
+        return Array.prototype.filter.call(
+            root.querySelectorAll('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'),
+            function (el) { return !el.disabled && el.offsetParent !== null; }
+        );
+    }
 
     function initMobileNav() {
         var navToggle = document.getElementById('navToggle');
         var mobileNav = document.getElementById('mobileNav');
+        var nav = document.getElementById('nav');
         if (!navToggle || !mobileNav) return;
 
+        var isOpen = false;
+        var lockedScrollY = 0;
+        var inerted = [];
+
+        navToggle.setAttribute('aria-controls', 'mobileNav');
+        navToggle.setAttribute('aria-expanded', 'false');
+        mobileNav.setAttribute('role', 'dialog');
+        mobileNav.setAttribute('aria-modal', 'true');
+        mobileNav.setAttribute('aria-label', 'Site menu');
+        mobileNav.inert = true;
+
+        function lockScroll() {
+            lockedScrollY = window.scrollY;
+            document.body.style.top = -lockedScrollY + 'px';
+            document.body.classList.add('nav-open');
+        }
+
+        function unlockScroll() {
+            document.body.classList.remove('nav-open');
+            document.body.style.top = '';
+            // 'instant' so html { scroll-behavior: smooth } doesn't animate the jump back
+            window.scrollTo({ top: lockedScrollY, behavior: 'instant' });
+        }
+
+        function setBackgroundInert(on) {
+            if (on) {
+                inerted = Array.prototype.filter.call(document.body.children, function (el) {
+                    return el !== nav && el !== mobileNav && el.tagName !== 'SCRIPT' && !el.inert;
+                });
+            }
+            inerted.forEach(function (el) { el.inert = on; });
+            if (!on) inerted = [];
+        }
+
+        function openMenu() {
+            if (isOpen) return;
+            isOpen = true;
+            navToggle.classList.add('active');
+            navToggle.setAttribute('aria-expanded', 'true');
+            mobileNav.classList.add('active');
+            mobileNav.inert = false;
+            lockScroll();
+            setBackgroundInert(true);
+
+            var first = focusableIn(mobileNav)[0];
+            if (first) first.focus({ preventScroll: true });
+        }
+
+        function closeMenu(restoreFocus) {
+            if (!isOpen) return;
+            isOpen = false;
+            navToggle.classList.remove('active');
+            navToggle.setAttribute('aria-expanded', 'false');
+            mobileNav.classList.remove('active');
+            mobileNav.style.removeProperty('--swipe-x');
+            setBackgroundInert(false);
+            unlockScroll();
+
+            var hadFocus = mobileNav.contains(document.activeElement);
+            mobileNav.inert = true;
+            if (restoreFocus && (hadFocus || document.activeElement === navToggle)) {
+                navToggle.focus({ preventScroll: true });
+            }
+        }
+
         navToggle.addEventListener('click', function () {
-            navToggle.classList.toggle('active');
-            mobileNav.classList.toggle('active');
-            document.body.classList.toggle('nav-open');
+            if (isOpen) {
+                closeMenu(true);
+            } else {
+                openMenu();
+            }
         });
 
-        // Close on link click
+        // Following a link: close, but leave focus to the next page
         mobileNav.querySelectorAll('a').forEach(function (link) {
             link.addEventListener('click', function () {
-                navToggle.classList.remove('active');
-                mobileNav.classList.remove('active');
-                document.body.classList.remove('nav-open');
+                closeMenu(false);
             });
         });
+
+        document.addEventListener('keydown', function (e) {
+            if (!isOpen) return;
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                closeMenu(true);
+            } else if (e.key === 'Tab') {
+                var focusable = [navToggle].concat(focusableIn(mobileNav));
+                var index = focusable.indexOf(document.activeElement);
+                var next = e.shiftKey ? index - 1 : index + 1;
+                e.preventDefault();
+                focusable[(next + focusable.length) % focusable.length].focus();
+            }
+        });
+
+        var desktop = window.matchMedia(MOBILE_NAV_DESKTOP);
+        function onBreakpoint() {
+            if (desktop.matches) closeMenu(false);
+        }
+        if (desktop.addEventListener) {
+            desktop.addEventListener('change', onBreakpoint);
+        } else if (desktop.addListener) {
+            desktop.addListener(onBreakpoint);
+        }
+
+        // Back/forward through PAGE TRANSITIONS while the menu is open
+        document.addEventListener('page:unload', function () {
+            closeMenu(false);
+        });
+
+        /* --- Swipe to close --- */
+
+        var swipe = null;
+
+        mobileNav.addEventListener('touchstart', function (e) {
+            if (!isOpen || e.touches.length !== 1) return;
+            swipe = { x: e.touches[0].clientX, y: e.touches[0].clientY, dx: 0, horizontal: null };
+        }, { passive: true });
+
+        mobileNav.addEventListener('touchmove', function (e) {
+            if (!swipe) return;
+            var dx = e.touches[0].clientX - swipe.x;
+            var dy = e.touches[0].clientY - swipe.y;
+            // Decide once, on the first clear movement, whether this is a swipe
+            if (swipe.horizontal === null && (Math.abs(dx) > 10 || Math.abs(dy) > 10)) {
+                swipe.horizontal = Math.abs(dx) > Math.abs(dy);
+            }
+            if (!swipe.horizontal) return;
+            swipe.dx = dx;
+            if (prefersReducedMotion) return;
+            mobileNav.classList.add('mobile-nav--dragging');
+            mobileNav.style.setProperty('--swipe-x', dx + 'px');
+        }, { passive: true });
+
+        function endSwipe() {
+            if (!swipe) return;
+            var passed = swipe.horizontal && Math.abs(swipe.dx) > MOBILE_NAV_SWIPE;
+            swipe = null;
+            mobileNav.classList.remove('mobile-nav--dragging');
+            mobileNav.style.removeProperty('--swipe-x');
+            if (passed) closeMenu(true);
+        }
+
+        mobileNav.addEventListener('touchend', endSwipe);
+        mobileNav.addEventListener('touchcancel', endSwipe);
     }
 
     /* ============================================
        LIGHTBOX
-       ============================================ */
+       ============================================
+       Any element with data-lightbox="<image src>" opens
+       the #lightbox viewer. Optional attributes:
+         data-lightbox-srcset  — srcset for the full image
+         data-lightbox-sizes   — sizes for that srcset
+         data-caption          — caption text
+         data-lightbox-group   — on the item or an ancestor;
+                                 prev/next only cycle within
+                                 the same group
+
+       The viewer loads a real <img> (aspect ratio kept by
+       CSS), preloads both neighbours, and shows loading /
+       error states. Zoom: double-tap/double-click, pinch,
+       or ctrl+wheel; drag pans when zoomed. Swipe left/right
+       (unzoomed) moves between images.
+
+       Accessibility: #lightbox is a modal dialog — focus
+       moves in on open, Tab is trapped, and focus returns
+       to the thumbnail on close. Position and caption are
+       announced through .lightbox__announce (aria-live).
+
+       Deep links: photography.html#photo=hagia-sophia opens
+       that image (id = data-photo-id, or the file name).
+       Opening pushes a history entry and prev/next replace
+       it, so the back button closes the viewer.
+    */
+
+    var LIGHTBOX_MAX_ZOOM = 4;
+    var LIGHTBOX_TAP_ZOOM = 2.5;
+    var LIGHTBOX_SWIPE_PX = 50;
 
     function initLightbox() {
         var lightbox = document.getElementById('lightbox');
         if (!lightbox) return;
 
+        var lightboxStage = lightbox.querySelector('.lightbox__stage');
         var lightboxImg = lightbox.querySelector('.lightbox__img');
+        var lightboxStatus = lightbox.querySelector('.lightbox__status');
         var lightboxCaption = lightbox.querySelector('.lightbox__caption');
+        var lightboxCounter = lightbox.querySelector('.lightbox__counter');
+        var lightboxAnnounce = lightbox.querySelector('.lightbox__announce');
         var lightboxClose = lightbox.querySelector('.lightbox__close');
         var lightboxPrev = lightbox.querySelector('.lightbox__nav--prev');
         var lightboxNext = lightbox.querySelector('.lightbox__nav--next');
+        if (!lightboxStage || !lightboxImg) return;
 
-        var galleryItems = [];
+        var groupItems = [];
         var currentIndex = 0;
+        var loadToken = 0;
+        var preloaded = {};
 
-        document.querySelectorAll('[data-lightbox]').forEach(function (item, index) {
-            galleryItems.push({
-                src: item.dataset.lightbox,
-                caption: item.dataset.caption || '',
-            });
-            item.addEventListener('click', function () {
-                currentIndex = index;
-                openLightbox();
+        // Zoom/pan state for the current image
+        var zoom = { scale: 1, x: 0, y: 0 };
+
+        function groupOf(el) {
+            var scope = el.closest('[data-lightbox-group]');
+            return scope ? scope.getAttribute('data-lightbox-group') : '';
+        }
+
+        // Items hidden by a filter (the `hidden` attribute on them or an
+        // ancestor) are left out so cycling follows what's on screen
+        function itemsInGroup(group, includeHidden) {
+            return Array.prototype.filter.call(document.querySelectorAll('[data-lightbox]'), function (el) {
+                return groupOf(el) === group && (includeHidden || !el.closest('[hidden]'));
             });
-        });
+        }
 
-        function openLightbox() {
-            if (!galleryItems.length) return;
-            var item = galleryItems[currentIndex];
-            if (lightboxImg) {
-                lightboxImg.style.background = item.src || 'var(--bg-tertiary)';
-                lightboxImg.style.width = '80vw';
-                lightboxImg.style.height = '60vh';
-                lightboxImg.style.borderRadius = '0';
-            }
-            if (lightboxCaption) {
-                lightboxCaption.textContent = item.caption;
+        function describe(el) {
+            return {
+                src: el.dataset.lightbox,
+                srcset: el.dataset.lightboxSrcset || '',
+                sizes: el.dataset.lightboxSizes || '100vw',
+                caption: el.dataset.caption || '',
+                alt: el.dataset.caption || (el.querySelector('img') || {}).alt || '',
+            };
+        }
+
+        function preload(item) {
+            if (!item || preloaded[item.src]) return;
+            var img = new Image();
+            if (item.srcset) {
+                img.sizes = item.sizes;
+                img.srcset = item.srcset;
             }
-            lightbox.classList.add('active');
-            document.body.style.overflow = 'hidden';
+            img.src = item.src;
+            preloaded[item.src] = img;
         }
 
-        function closeLightbox() {
-            lightbox.classList.remove('active');
-            document.body.style.overflow = '';
+        /* --- Zoom & pan --- */
+
+        function applyZoom(animate) {
+            lightboxImg.style.transition = animate ? '' : 'none';
+            lightboxImg.style.transform = zoom.scale === 1
+                ? ''
+                : 'translate(' + zoom.x + 'px, ' + zoom.y + 'px) scale(' + zoom.scale + ')';
+            lightbox.classList.toggle('lightbox--zoomed', zoom.scale > 1);
         }
 
-        function nextImage() {
-            currentIndex = (currentIndex + 1) % galleryItems.length;
-            openLightbox();
+        // Keep the zoomed image covering the stage — no panning into empty space
+        function clampPan() {
+            var w = lightboxImg.offsetWidth;
+            var h = lightboxImg.offsetHeight;
+            var maxX = (w * zoom.scale - w) / 2;
+            var maxY = (h * zoom.scale - h) / 2;
+            zoom.x = Math.max(-maxX, Math.min(maxX, zoom.x));
+            zoom.y = Math.max(-maxY, Math.min(maxY, zoom.y));
         }
 
-        function prevImage() {
-            currentIndex = (currentIndex - 1 + galleryItems.length) % galleryItems.length;
-            openLightbox();
+        // Zoom to `scale`, keeping the point under (clientX, clientY) fixed
+        function zoomTo(scale, clientX, clientY, animate) {
+            scale = Math.max(1, Math.min(LIGHTBOX_MAX_ZOOM, scale));
+            var rect = lightboxImg.getBoundingClientRect();
+            var cx = clientX - (rect.left + rect.width / 2);
+            var cy = clientY - (rect.top + rect.height / 2);
+            var ratio = scale / zoom.scale;
+            zoom.x = scale === 1 ? 0 : zoom.x - cx * (ratio - 1);
+            zoom.y = scale === 1 ? 0 : zoom.y - cy * (ratio - 1);
+            zoom.scale = scale;
+            clampPan();
+            applyZoom(animate);
         }
 
-        if (lightboxClose) lightboxClose.addEventListener('click', closeLightbox);
-        if (lightboxPrev) lightboxPrev.addEventListener('click', prevImage);
-        if (lightboxNext) lightboxNext.addEventListener('click', nextImage);
+        function resetZoom() {
+            zoom.scale = 1;
+            zoom.x = 0;
+            zoom.y = 0;
+            applyZoom(true);
+        }
 
-        lightbox.addEventListener('click', function (e) {
-            if (e.target === lightbox) closeLightbox();
-        });
+        /* --- Showing images --- */
+
+        function show(index) {
+            if (!groupItems.length) return;
+            currentIndex = (index + groupItems.length) % groupItems.length;
+            var item = describe(groupItems[currentIndex]);
+            var token = ++loadToken;
+
+            resetZoom();
+            lightbox.classList.add('lightbox--loading');
+            lightbox.classList.remove('lightbox--error');
+            if (lightboxStatus) lightboxStatus.textContent = 'Loading…';
+
+            lightboxImg.onload = function () {
+                if (token !== loadToken) return;
+                lightbox.classList.remove('lightbox--loading');
+                if (lightboxStatus) lightboxStatus.textContent = '';
+            };
+            lightboxImg.onerror = function () {
+                if (token !== loadToken) return;
+                lightbox.classList.remove('lightbox--loading');
+                lightbox.classList.add('lightbox--error');
+                if (lightboxStatus) lightboxStatus.textContent = 'This image couldn\'t be loaded.';
+            };
+
+            lightboxImg.alt = item.alt;
+            lightboxImg.removeAttribute('srcset');
+            if (item.srcset) {
+                lightboxImg.sizes = item.sizes;
+                lightboxImg.srcset = item.srcset;
+            }
+            lightboxImg.src = item.src;
+
+            if (lightboxCaption) lightboxCaption.textContent = item.caption;
+            if (lightboxCounter) {
+                lightboxCounter.textContent = groupItems.length > 1 ? (currentIndex + 1) + ' / ' + groupItems.length : '';
+            }
+            lightbox.classList.toggle('lightbox--single', groupItems.length < 2);
+            announce();
+
+            // Warm the cache for whichever way the visitor goes next
+            if (groupItems.length > 1) {
+                preload(describe(groupItems[(currentIndex + 1) % groupItems.length]));
+                preload(describe(groupItems[(currentIndex - 1 + groupItems.length) % groupItems.length]));
+            }
+        }
+
+        /* --- Deep links (#photo=<id>) --- */
+
+        // Items name themselves with data-photo-id, else their image's file name
+        function photoIdOf(el) {
+            if (el.dataset.photoId) return el.dataset.photoId;
+            return (el.dataset.lightbox || '').split('/').pop().replace(/\.[a-z0-9]+$/i, '');
+        }
+
+        function photoIdFromHash() {
+            var match = window.location.hash.match(/^#photo=([\w-]+)$/);
+            return match ? match[1] : '';
+        }
+
+        function findByPhotoId(id) {
+            return Array.prototype.filter.call(document.querySelectorAll('[data-lightbox]'), function (el) {
+                return photoIdOf(el) === id;
+            })[0] || null;
+        }
+
+        // True while the open lightbox owns a history entry we pushed,
+        // so closing it can step back instead of stacking entries
+        var ownsHistoryEntry = false;
+
+        function syncHash(push) {
+            var hash = '#photo=' + photoIdOf(groupItems[currentIndex]);
+            if (window.location.hash === hash) return;
+            if (push) {
+                history.pushState({ lightbox: true }, '', hash);
+                ownsHistoryEntry = true;
+            } else {
+                history.replaceState(history.state, '', hash);
+            }
+        }
+
+        function clearHash() {
+            if (!photoIdFromHash()) return;
+            if (ownsHistoryEntry) {
+                ownsHistoryEntry = false;
+                history.back();
+            } else {
+                history.replaceState(history.state, '', window.location.pathname + window.location.search);
+            }
+        }
+
+        /* --- Open / close, focus management --- */
+
+        var returnFocusTo = null;
+
+        function announce() {
+            if (!lightboxAnnounce) return;
+            var item = describe(groupItems[currentIndex]);
+            lightboxAnnounce.textContent = 'Image ' + (currentIndex + 1) + ' of ' + groupItems.length +
+                (item.caption ? ': ' + item.caption : '');
+        }
+
+        function openLightbox(trigger, fromHistory) {
+            groupItems = itemsInGroup(groupOf(trigger));
+            // A deep link can point at a filtered-out photo — show it among all of them
+            if (groupItems.indexOf(trigger) === -1) groupItems = itemsInGroup(groupOf(trigger), true);
+            returnFocusTo = trigger;
+            lightbox.classList.add('active');
+            lightbox.removeAttribute('aria-hidden');
+            lightbox.inert = false;
+            document.body.style.overflow = 'hidden';
+            show(groupItems.indexOf(trigger));
+            if (fromHistory) ownsHistoryEntry = !!(history.state && history.state.lightbox);
+            else syncHash(true);
+            if (lightboxClose) lightboxClose.focus();
+        }
+
+        // `fromHistory` — the URL already changed (back button), so leave it alone
+        function closeLightbox(fromHistory) {
+            if (!lightbox.classList.contains('active')) return;
+            lightbox.classList.remove('active', 'lightbox--loading', 'lightbox--error');
+            lightbox.setAttribute('aria-hidden', 'true');
+            lightbox.inert = true;
+            document.body.style.overflow = '';
+            resetZoom();
+            loadToken++;
+            if (fromHistory === true) ownsHistoryEntry = false;
+            else clearHash();
+            if (returnFocusTo && document.contains(returnFocusTo)) returnFocusTo.focus();
+            returnFocusTo = null;
+        }
+
+        function nextImage() {
+            show(currentIndex + 1);
+            syncHash(false);
+        }
+
+        function prevImage() {
+            show(currentIndex - 1);
+            syncHash(false);
+        }
+
+        // Thumbnails that aren't natively focusable become buttons for keyboards
+        document.querySelectorAll('[data-lightbox]').forEach(function (el) {
+            if (el.matches('a[href], button')) return;
+            el.setAttribute('tabindex', '0');
+            el.setAttribute('role', 'button');
+            if (!el.hasAttribute('aria-label')) {
+                el.setAttribute('aria-label', 'Open image' + (el.dataset.caption ? ': ' + el.dataset.caption : ''));
+            }
+        });
+
+        // Delegated so items added later (filters, facades) just work
+        document.addEventListener('click', function (e) {
+            var trigger = e.target.closest('[data-lightbox]');
+            if (!trigger) return;
+            // Real links and buttons inside a lightbox item (e.g. "View on
+            // Instagram", "Load post") still do their own thing
+            var control = e.target.closest('a[href], button');
+            if (control && control !== trigger && trigger.contains(control)) return;
+            e.preventDefault();
+            openLightbox(trigger);
+        }, { signal: pageSignal() });
+
+        document.addEventListener('keydown', function (e) {
+            if (e.key !== 'Enter' && e.key !== ' ') return;
+            var trigger = e.target.closest && e.target.closest('[data-lightbox]');
+            if (!trigger || trigger !== e.target || lightbox.classList.contains('active')) return;
+            e.preventDefault();
+            openLightbox(trigger);
+        }, { signal: pageSignal() });
+
+        if (lightboxClose) lightboxClose.addEventListener('click', closeLightbox);
+        if (lightboxPrev) lightboxPrev.addEventListener('click', prevImage);
+        if (lightboxNext) lightboxNext.addEventListener('click', nextImage);
+
+        lightbox.addEventListener('click', function (e) {
+            if (e.target === lightbox || e.target === lightboxStage) closeLightbox();
+        });
 
         document.addEventListener('keydown', function (e) {
             if (!lightbox.classList.contains('active')) return;
             if (e.key === 'Escape') closeLightbox();
             if (e.key === 'ArrowRight') nextImage();
             if (e.key === 'ArrowLeft') prevImage();
+
+            // Trap Tab inside the dialog
+            if (e.key === 'Tab') {
+                var focusable = focusableIn(lightbox);
+                if (!focusable.length) return;
+                var first = focusable[0];
+                var last = focusable[focusable.length - 1];
+                if (e.shiftKey && (document.activeElement === first || !lightbox.contains(document.activeElement))) {
+                    e.preventDefault();
+                    last.focus();
+                } else if (!e.shiftKey && (document.activeElement === last || !lightbox.contains(document.activeElement))) {
+                    e.preventDefault();
+                    first.focus();
+                }
+            }
+        }, { signal: pageSignal() });
+
+        // Back/forward: a #photo= hash opens (or moves) the viewer, its absence closes it
+        window.addEventListener('popstate', function () {
+            var id = photoIdFromHash();
+            var target = id ? findByPhotoId(id) : null;
+            if (!target) {
+                closeLightbox(true);
+            } else if (!lightbox.classList.contains('active')) {
+                openLightbox(target, true);
+            } else if (groupItems.indexOf(target) !== -1) {
+                show(groupItems.indexOf(target));
+            }
+        }, { signal: pageSignal() });
+
+        lightbox.setAttribute('aria-hidden', 'true');
+        lightbox.inert = true;
+
+        // Opened straight from a shared link
+        var linked = findByPhotoId(photoIdFromHash());
+        if (linked) openLightbox(linked, true);
+
+        /* --- Pointer gestures: double-tap, pinch, pan, swipe --- */
+
+        var pointers = {};
+        var gesture = null;
+        var lastTap = 0;
+
+        function pointerList() {
+            return Object.keys(pointers).map(function (id) { return pointers[id]; });
+        }
+
+        function distance(a, b) {
+            return Math.hypot(a.x - b.x, a.y - b.y);
+        }
+
+        lightboxStage.addEventListener('pointerdown', function (e) {
+            if (e.target !== lightboxImg) return;
+            lightboxStage.setPointerCapture(e.pointerId);
+            pointers[e.pointerId] = { x: e.clientX, y: e.clientY };
+            var list = pointerList();
+
+            if (list.length === 2) {
+                gesture = {
+                    type: 'pinch',
+                    startDist: distance(list[0], list[1]),
+                    startScale: zoom.scale,
+                };
+            } else if (list.length === 1) {
+                gesture = {
+                    type: zoom.scale > 1 ? 'pan' : 'swipe',
+                    startX: e.clientX,
+                    startY: e.clientY,
+                    originX: zoom.x,
+                    originY: zoom.y,
+                };
+            }
+        });
+
+        lightboxStage.addEventListener('pointermove', function (e) {
+            if (!pointers[e.pointerId] || !gesture) return;
+            pointers[e.pointerId] = { x: e.clientX, y: e.clientY };
+            var list = pointerList();
+
+            if (gesture.type === 'pinch' && list.length === 2) {
+                var midX = (list[0].x + list[1].x) / 2;
+                var midY = (list[0].y + list[1].y) / 2;
+                zoomTo(gesture.startScale * distance(list[0], list[1]) / gesture.startDist, midX, midY, false);
+            } else if (gesture.type === 'pan') {
+                zoom.x = gesture.originX + (e.clientX - gesture.startX);
+                zoom.y = gesture.originY + (e.clientY - gesture.startY);
+                clampPan();
+                applyZoom(false);
+            } else if (gesture.type === 'swipe') {
+                // Follow the finger a little so the swipe feels physical
+                lightboxImg.style.transition = 'none';
+                lightboxImg.style.transform = 'translateX(' + ((e.clientX - gesture.startX) * 0.4) + 'px)';
+            }
+        });
+
+        function endPointer(e) {
+            if (!pointers[e.pointerId]) return;
+            delete pointers[e.pointerId];
+            if (!gesture) return;
+
+            if (gesture.type === 'swipe') {
+                var dx = e.clientX - gesture.startX;
+                var dy = e.clientY - gesture.startY;
+                applyZoom(true);
+
+                if (Math.abs(dx) > LIGHTBOX_SWIPE_PX && Math.abs(dx) > Math.abs(dy) * 1.5) {
+                    if (dx < 0) nextImage(); else prevImage();
+                } else if (Math.abs(dx) < 10 && Math.abs(dy) < 10 && e.pointerType !== 'mouse') {
+                    // Double-tap toggles zoom (mouse uses dblclick below)
+                    var now = Date.now();
+                    if (now - lastTap < 300) {
+                        zoomTo(zoom.scale > 1 ? 1 : LIGHTBOX_TAP_ZOOM, e.clientX, e.clientY, true);
+                        lastTap = 0;
+                    } else {
+                        lastTap = now;
+                    }
+                }
+            }
+
+            // Lifting one finger of a pinch leaves a pan (or nothing)
+            var left = pointerList();
+            gesture = left.length === 1 && zoom.scale > 1
+                ? { type: 'pan', startX: left[0].x, startY: left[0].y, originX: zoom.x, originY: zoom.y }
+                : null;
+        }
+
+        lightboxStage.addEventListener('pointerup', endPointer);
+        lightboxStage.addEventListener('pointercancel', endPointer);
+
+        lightboxImg.addEventListener('dblclick', function (e) {
+            zoomTo(zoom.scale > 1 ? 1 : LIGHTBOX_TAP_ZOOM, e.clientX, e.clientY, true);
+        });
+
+        lightboxStage.addEventListener('wheel', function (e) {
+            if (!e.ctrlKey) return;
+            e.preventDefault();
+            zoomTo(zoom.scale * (e.deltaY < 0 ? 1.15 : 1 / 1.15), e.clientX, e.clientY, false);
+        }, { passive: false });
+
+        // Keep the browser from hijacking pinch/drag on the image
+        lightboxImg.draggable = false;
+    }
+
+    /* ============================================
+       GALLERY FILTER
+       ============================================
+       Multi-select facets built from the items themselves.
+       A .gallery-filter[data-facets="country location"]
+       placed before a .masonry-grid gets one button group per
+       facet; each item declares its values as data-country,
+       data-location… (comma-separated for several). Subject,
+       year and tags facets are labelled too.
+
+       Values OR together within a facet and AND across facets.
+       Each button shows how many items it would match given
+       the other facets' selections. State lives in the query
+       string (?country=Turkey,UAE&location=Dubai) via replaceState,
+       so filtered views can be shared. Hidden items get the
+       `hidden` attribute, which the lightbox skips when cycling.
+       Remaining items glide to their new spots (FLIP).
+    */
+
+    var FACET_LABELS = {
+        country: 'Country',
+        location: 'Location',
+        subject: 'Subject',
+        year: 'Year',
+        tags: 'Tags',
+    };
+
+    function facetValues(item, facet) {
+        return (item.getAttribute('data-' + facet) || '').split(',').map(function (v) {
+            return v.trim();
+        }).filter(Boolean);
+    }
+
+    /**
+     * FLIP: records where the visible `items` sit, runs `mutate`
+     * (hide, show, reorder…), then glides each survivor from its
+     * old spot to its new one. Newly shown items fade up instead.
+     * Skipped for reduced motion or when `animate` is false.
+     */
+    function animateLayout(items, mutate, animate) {
+        animate = animate && !prefersReducedMotion && typeof Element.prototype.animate === 'function';
+
+        var before = new Map();
+        if (animate) {
+            items.forEach(function (item) {
+                if (!item.hidden) before.set(item, item.getBoundingClientRect());
+            });
+        }
+
+        mutate();
+
+        if (!animate) return;
+
+        items.forEach(function (item) {
+            if (item.hidden) return;
+            var first = before.get(item);
+            if (!first) {
+                // Newly shown — fade up into place
+                item.animate([
+                    { opacity: 0, transform: 'scale(0.96)' },
+                    { opacity: 1, transform: 'none' }
+                ], { duration: 400, easing: 'cubic-bezier(0.16, 1, 0.3, 1)' });
+                return;
+            }
+            var last = item.getBoundingClientRect();
+            var dx = first.left - last.left;
+            var dy = first.top - last.top;
+            if (!dx && !dy) return;
+            item.animate([
+                { transform: 'translate(' + dx + 'px, ' + dy + 'px)' },
+                { transform: 'none' }
+            ], { duration: 500, easing: 'cubic-bezier(0.16, 1, 0.3, 1)' });
+        });
+    }
+
+    function initGalleryFilter() {
+        var filterBar = document.querySelector('.gallery-filter[data-facets]');
+        var grid = document.querySelector('.masonry-grid');
+        if (!filterBar || !grid) return;
+
+        var items = Array.prototype.slice.call(grid.querySelectorAll('.masonry-grid__item'));
+        var facets = filterBar.getAttribute('data-facets').split(/\s+/).filter(Boolean);
+        if (!items.length || !facets.length) return;
+
+        var selected = {};
+        facets.forEach(function (facet) { selected[facet] = []; });
+
+        /* --- Build the bar --- */
+
+        var html = '';
+        facets.forEach(function (facet) {
+            var values = [];
+            items.forEach(function (item) {
+                facetValues(item, facet).forEach(function (v) {
+                    if (values.indexOf(v) === -1) values.push(v);
+                });
+            });
+            if (!values.length) return;
+
+            // Years newest first, everything else alphabetical
+            values.sort(function (a, b) {
+                return facet === 'year' ? b.localeCompare(a) : a.localeCompare(b);
+            });
+
+            html += '<div class="gallery-filter__group" role="group" aria-label="' + escapeHTML(FACET_LABELS[facet] || facet) + '">' +
+                '<span class="gallery-filter__label">' + escapeHTML(FACET_LABELS[facet] || facet) + '</span>' +
+                values.map(function (v) {
+                    return '<button class="gallery-filter__btn" type="button" data-facet="' + escapeHTML(facet) + '" data-value="' + escapeHTML(v) + '" aria-pressed="false">' +
+                        escapeHTML(v) + ' <span class="gallery-filter__count"></span></button>';
+                }).join('') +
+                '</div>';
         });
+        html += '<button class="gallery-filter__clear" type="button">Clear filters</button>' +
+            '<span class="gallery-filter__summary" aria-live="polite"></span>';
+        filterBar.innerHTML = html;
+
+        var buttons = filterBar.querySelectorAll('.gallery-filter__btn');
+        var clearBtn = filterBar.querySelector('.gallery-filter__clear');
+        var summary = filterBar.querySelector('.gallery-filter__summary');
+
+        var empty = document.createElement('div');
+        empty.className = 'gallery-filter__empty';
+        empty.hidden = true;
+        empty.innerHTML = '<p>No photos match those filters.</p><button class="btn btn--outline" type="button">Clear filters</button>';
+        grid.parentNode.insertBefore(empty, grid.nextSibling);
+
+        /* --- Matching --- */
+
+        function matches(item, except) {
+            return facets.every(function (facet) {
+                if (facet === except || !selected[facet].length) return true;
+                var values = facetValues(item, facet);
+                return selected[facet].some(function (v) { return values.indexOf(v) !== -1; });
+            });
+        }
+
+        /* --- URL state --- */
+
+        function readQuery() {
+            var params = new URLSearchParams(window.location.search);
+            facets.forEach(function (facet) {
+                selected[facet] = (params.get(facet) || '').split(',').filter(Boolean);
+            });
+        }
+
+        function writeQuery() {
+            var params = new URLSearchParams(window.location.search);
+            facets.forEach(function (facet) {
+                if (selected[facet].length) params.set(facet, selected[facet].join(','));
+                else params.delete(facet);
+            });
+            var query = params.toString();
+            history.replaceState(history.state, '', window.location.pathname + (query ? '?' + query : '') + window.location.hash);
+        }
+
+        /* --- Render --- */
+
+        function render(animate) {
+            animateLayout(items, function () {
+                items.forEach(function (item) {
+                    item.hidden = !matches(item);
+                });
+            }, animate);
+
+            buttons.forEach(function (btn) {
+                var facet = btn.dataset.facet;
+                var value = btn.dataset.value;
+                var on = selected[facet].indexOf(value) !== -1;
+                var count = items.filter(function (item) {
+                    return matches(item, facet) && facetValues(item, facet).indexOf(value) !== -1;
+                }).length;
+
+                btn.classList.toggle('active', on);
+                btn.setAttribute('aria-pressed', on);
+                btn.disabled = !count && !on;
+                btn.querySelector('.gallery-filter__count').textContent = count;
+            });
+
+            var shown = items.filter(function (item) { return !item.hidden; }).length;
+            var filtering = facets.some(function (facet) { return selected[facet].length; });
+            clearBtn.hidden = !filtering;
+            empty.hidden = shown > 0;
+            summary.textContent = filtering ? shown + ' of ' + items.length + ' photos' : '';
+        }
+
+        filterBar.addEventListener('click', function (e) {
+            var btn = e.target.closest('.gallery-filter__btn');
+            if (!btn) return;
+            var list = selected[btn.dataset.facet];
+            var at = list.indexOf(btn.dataset.value);
+            if (at === -1) list.push(btn.dataset.value);
+            else list.splice(at, 1);
+            writeQuery();
+            render(true);
+        });
+
+        function clearAll() {
+            facets.forEach(function (facet) { selected[facet] = []; });
+            writeQuery();
+            render(true);
+        }
+
+        clearBtn.addEventListener('click', clearAll);
+        empty.querySelector('button').addEventListener('click', clearAll);
+
+        readQuery();
+        render(false);
+    }
+
+    /* ============================================
+       EMBED FACADES — CLICK-TO-LOAD INSTAGRAM POSTS
+       ============================================
+       An .ig-embed-card__embed[data-embed="<iframe src>"]
+       shows a local poster — the photo from images/ when
+       there is one, a placeholder otherwise — and only
+       loads the third-party iframe once the visitor asks
+       for it with the injected "Load post" button.
+
+       Posters carry the usual data-lightbox attributes, so
+       they open in the site lightbox like gallery photos.
+
+       An iframe that hasn't fired `load` within
+       EMBED_TIMEOUT (blocked by an extension, offline,
+       Instagram down) is removed again and the card falls
+       back to its poster plus a "View on Instagram" link.
+       Instagram's own error pages can't be seen across
+       origins, so those still count as loaded.
+    */
+
+    var EMBED_TIMEOUT = 10000;
+
+    function initEmbedFacades() {
+        document.querySelectorAll('.ig-embed-card__embed[data-embed]').forEach(function (embed) {
+            if (embed.querySelector('.ig-embed-card__load')) return;
+
+            var card = embed.closest('.ig-embed-card');
+            var locationEl = card ? card.querySelector('.ig-embed-card__location') : null;
+            var postLink = card ? card.querySelector('.ig-embed-card__meta a[href]') : null;
+            var label = locationEl ? locationEl.textContent.trim() : '';
+
+            var loadBtn = document.createElement('button');
+            loadBtn.type = 'button';
+            loadBtn.className = 'ig-embed-card__load';
+            loadBtn.textContent = 'Load post';
+            loadBtn.setAttribute('aria-label', 'Load Instagram post' + (label ? ': ' + label : ''));
+            embed.appendChild(loadBtn);
+
+            function fail() {
+                var iframe = embed.querySelector('iframe');
+                if (iframe) iframe.remove();
+                embed.classList.remove('ig-embed-card__embed--loading');
+                embed.classList.add('ig-embed-card__embed--failed');
+                loadBtn.remove();
+
+                var note = document.createElement('p');
+                note.className = 'ig-embed-card__fallback';
+                note.setAttribute('role', 'status');
+                note.textContent = 'Instagram didn\'t load here. ';
+                if (postLink) {
+                    var link = document.createElement('a');
+                    link.href = postLink.href;
+                    link.target = '_blank';
+                    link.rel = 'noopener';
+                    link.textContent = 'View it on Instagram →';
+                    note.appendChild(link);
+                }
+                embed.appendChild(note);
+            }
+
+            loadBtn.addEventListener('click', function () {
+                if (navigator.onLine === false) {
+                    fail();
+                    return;
+                }
+
+                loadBtn.disabled = true;
+                loadBtn.textContent = 'Loading…';
+                embed.classList.add('ig-embed-card__embed--loading');
+
+                var iframe = document.createElement('iframe');
+                var timer = setTimeout(fail, EMBED_TIMEOUT);
+
+                iframe.addEventListener('load', function () {
+                    clearTimeout(timer);
+                    embed.classList.remove('ig-embed-card__embed--loading');
+                    embed.classList.add('ig-embed-card__embed--loaded');
+                    loadBtn.remove();
+                    iframe.focus();
+                });
+                iframe.addEventListener('error', function () {
+                    clearTimeout(timer);
+                    fail();
+                });
+
+                iframe.title = 'Instagram post' + (label ? ': ' + label : '');
+                iframe.setAttribute('allowtransparency', 'true');
+                iframe.setAttribute('scrolling', 'no');
+                iframe.src = embed.getAttribute('data-embed');
+                embed.appendChild(iframe);
+            });
+        });
+    }
+
+    /* ============================================
+       CASE STUDY EXPLORER
+       ============================================
+       Drives the case studies on salesforce.html — every
+       article[id] that is a .case-study-card or the
+       .case-study-feature — from a .case-explorer bar with
+       three facets:
+
+         Industry  its last tag--small label — each card
+                   lists its sector after the products
+         Product   its other tag--small labels
+         Skill     the skills-bar names its tags or its
+                   Problem / Solution / Outcome text mention;
+                   listed in skills-bar order
+
+       Filters combine like the gallery's (OR within a facet,
+       AND across) and live in the query string; a section
+       left without matches steps aside. The .skill-tag chips
+       in the skills bar become shortcuts for the same
+       filters.
+
+       Cards start collapsed to a preview of their Problem /
+       Solution / Outcome and open to the full text with an
+       animated height. Picking "Compare" on two studies lays
+       them side by side (?compare=a,b). A study's id is its
+       link: salesforce.html#territory-management opens that
+       study, clearing any filter that hides it, and "Copy
+       link" puts that URL on the clipboard.
+    */
+
+    var CASE_FACETS = [
+        { key: 'industry', label: 'Industry' },
+        { key: 'product', label: 'Product' },
+        { key: 'skill', label: 'Skill' },
+    ];
+    var CASE_COMPARE_MAX = 2;
+    var CASE_EXPAND_MS = 450;
+    var CASE_TARGET_MS = 2000;
+    var CASE_COPY_RESET_MS = 2000;
+
+    function caseStudyText(el, selector) {
+        var node = el.querySelector(selector);
+        return node ? node.textContent.trim() : '';
+    }
+
+    function initCaseExplorer() {
+        var bar = document.querySelector('.case-explorer[data-facets]');
+        var articles = document.querySelectorAll('main article[id].case-study-card, main article[id].case-study-feature');
+        if (!bar || !articles.length) return;
+
+        var skillChips = Array.prototype.slice.call(document.querySelectorAll('.skills-bar .skill-tag'));
+        var skillOrder = skillChips.map(function (chip) { return chip.textContent.trim(); });
+
+        function mentions(text, name) {
+            return new RegExp('(^|[^\\w-])' + escapeRegExp(name) + '(?!\\w)').test(text);
+        }
+
+        var studies = Array.prototype.map.call(articles, function (el) {
+            var tags = Array.prototype.map.call(el.querySelectorAll('.tag--small'), function (tag) {
+                return tag.textContent.trim();
+            });
+            var industry = tags.length > 1 ? tags[tags.length - 1] : '';
+            var text = caseStudyText(el, '.case-study-pso');
+            return {
+                el: el,
+                id: el.id,
+                section: el.closest('.section'),
+                featured: el.classList.contains('case-study-feature'),
+                client: caseStudyText(el, '.case-study-card__client, .case-study-feature__client'),
+                title: caseStudyText(el, '.case-study-card__title, .case-study-feature__title'),
+                tags: tags,
+                body: el.querySelector('.case-study-card__body, .case-study-feature__body'),
+                industry: industry ? [industry] : [],
+                product: tags.filter(function (tag) { return tag !== industry; }),
+                skill: skillOrder.filter(function (name) {
+                    return tags.indexOf(name) !== -1 || mentions(text, name);
+                }),
+                open: true,
+            };
+        });
+        var sections = [];
+        studies.forEach(function (study) {
+            if (study.section && sections.indexOf(study.section) === -1) sections.push(study.section);
+        });
+
+        var facets = bar.getAttribute('data-facets').split(/\s+/).filter(function (key) {
+            return CASE_FACETS.some(function (facet) { return facet.key === key; });
+        });
+        var selected = {};
+        facets.forEach(function (key) { selected[key] = []; });
+        var comparing = [];
+
+        function valuesOf(key) {
+            var values = [];
+            studies.forEach(function (study) {
+                study[key].forEach(function (v) {
+                    if (values.indexOf(v) === -1) values.push(v);
+                });
+            });
+            return values;
+        }
+
+        function usage(key, value) {
+            return studies.filter(function (study) { return study[key].indexOf(value) !== -1; }).length;
+        }
+
+        /* --- Build the bar --- */
+
+        var html = '';
+        facets.forEach(function (key) {
+            var values = valuesOf(key);
+            if (key === 'industry') {
+                values.sort(function (a, b) { return a.localeCompare(b); });
+            } else if (key === 'product') {
+                values.sort(function (a, b) { return usage(key, b) - usage(key, a) || a.localeCompare(b); });
+            } else {
+                values.sort(function (a, b) {
+                    var ai = skillOrder.indexOf(a);
+                    var bi = skillOrder.indexOf(b);
+                    return (ai === -1 ? Infinity : ai) - (bi === -1 ? Infinity : bi) || a.localeCompare(b);
+                });
+            }
+            if (!values.length) return;
+
+            var label = CASE_FACETS.filter(function (facet) { return facet.key === key; })[0].label;
+            html += '<div class="gallery-filter__group" role="group" aria-label="' + label + '">' +
+                '<span class="gallery-filter__label">' + label + '</span>' +
+                values.map(function (v) {
+                    return '<button class="gallery-filter__btn" type="button" data-facet="' + key + '" data-value="' + escapeHTML(v) + '" aria-pressed="false">' +
+                        escapeHTML(v) + ' <span class="gallery-filter__count"></span></button>';
+                }).join('') +
+                '</div>';
+        });
+        html += '<div class="case-explorer__footer">' +
+            '<button class="gallery-filter__clear" type="button">Clear filters</button>' +
+            '<span class="gallery-filter__summary" aria-live="polite"></span>' +
+            '<span class="case-explorer__status" aria-live="polite"></span>' +
+            '</div>';
+        bar.innerHTML = html;
+
+        var buttons = bar.querySelectorAll('.gallery-filter__btn');
+        var clearBtn = bar.querySelector('.gallery-filter__clear');
+        var summary = bar.querySelector('.gallery-filter__summary');
+        var status = bar.querySelector('.case-explorer__status');
+
+        var panel = document.createElement('section');
+        panel.className = 'case-compare';
+        panel.setAttribute('aria-label', 'Case study comparison');
+        panel.tabIndex = -1;
+        panel.hidden = true;
+        bar.parentNode.insertBefore(panel, bar.nextSibling);
+
+        var empty = document.createElement('div');
+        empty.className = 'gallery-filter__empty';
+        empty.hidden = true;
+        empty.innerHTML = '<p>No case studies match those filters.</p><button class="btn btn--outline" type="button">Clear filters</button>';
+        bar.parentNode.insertBefore(empty, panel.nextSibling);
+
+        // Skills-bar chips that name a product or skill act as filter buttons
+        var products = valuesOf('product');
+        var skills = valuesOf('skill');
+        skillChips.forEach(function (chip) {
+            var name = chip.textContent.trim();
+            var key = products.indexOf(name) !== -1 ? 'product' : skills.indexOf(name) !== -1 ? 'skill' : '';
+            if (!key || !selected[key]) return;
+            chip.setAttribute('role', 'button');
+            chip.setAttribute('tabindex', '0');
+            chip.setAttribute('aria-pressed', 'false');
+            chip.setAttribute('data-facet', key);
+            chip.setAttribute('data-value', name);
+            chip.classList.add('skill-tag--filter');
+        });
+        var chipButtons = skillChips.filter(function (chip) { return chip.hasAttribute('data-facet'); });
+
+        /* --- Card controls --- */
+
+        studies.forEach(function (study) {
+            var actions = document.createElement('div');
+            actions.className = 'case-study-actions';
+            actions.innerHTML =
+                (study.featured ? '' : '<button class="case-study-actions__btn case-study-actions__toggle" type="button" aria-expanded="true"></button>') +
+                '<button class="case-study-actions__btn case-study-actions__compare" type="button" aria-pressed="false">Compare</button>' +
+                '<button class="case-study-actions__btn case-study-actions__link" type="button">Copy link</button>';
+            study.el.appendChild(actions);
+
+            study.toggle = actions.querySelector('.case-study-actions__toggle');
+            study.compareBtn = actions.querySelector('.case-study-actions__compare');
+            study.linkBtn = actions.querySelector('.case-study-actions__link');
+
+            if (study.toggle && study.body) {
+                study.body.id = study.body.id || study.id + '-details';
+                study.toggle.setAttribute('aria-controls', study.body.id);
+                setExpanded(study, false, false);
+                study.toggle.addEventListener('click', function () {
+                    setExpanded(study, !study.open, true);
+                });
+            }
+
+            study.compareBtn.addEventListener('click', function () {
+                var at = comparing.indexOf(study.id);
+                if (at === -1) comparing.push(study.id);
+                else comparing.splice(at, 1);
+                writeQuery();
+                renderCompare(comparing.length === CASE_COMPARE_MAX);
+            });
+
+            var resetTimer;
+            study.linkBtn.addEventListener('click', function () {
+                var url = window.location.origin + window.location.pathname + '#' + study.id;
+                copyText(url).then(function () {
+                    study.linkBtn.textContent = 'Link copied';
+                }, function () {
+                    // No clipboard — put the link in the address bar to copy from there
+                    history.replaceState(history.state, '', url);
+                    study.linkBtn.textContent = 'Link in address bar';
+                });
+                clearTimeout(resetTimer);
+                resetTimer = setTimeout(function () {
+                    study.linkBtn.textContent = 'Copy link';
+                }, CASE_COPY_RESET_MS);
+            });
+        });
+
+        /**
+         * Open or close a card's full Problem / Solution / Outcome,
+         * gliding between the preview height and the full one.
+         */
+        function setExpanded(study, open, animate) {
+            if (!study.toggle || study.open === open) return;
+            var body = study.body;
+            var from = body.getBoundingClientRect().height;
+
+            study.open = open;
+            study.el.classList.toggle('case-study-card--collapsed', !open);
+            study.toggle.setAttribute('aria-expanded', open);
+            study.toggle.textContent = open ? 'Show less' : 'Read the full case study';
+
+            if (animate && !open && study.el.getBoundingClientRect().top < 0) study.el.scrollIntoView();
+            if (!animate || prefersReducedMotion || typeof body.animate !== 'function') return;
+
+            var to = body.getBoundingClientRect().height;
+            body.animate([
+                { height: from + 'px', maxHeight: from + 'px', overflow: 'hidden' },
+                { height: to + 'px', maxHeight: to + 'px', overflow: 'hidden' }
+            ], { duration: CASE_EXPAND_MS, easing: 'cubic-bezier(0.16, 1, 0.3, 1)' });
+        }
+
+        /* --- Matching --- */
+
+        function matches(study, except) {
+            return facets.every(function (key) {
+                if (key === except || !selected[key].length) return true;
+                return selected[key].some(function (v) { return study[key].indexOf(v) !== -1; });
+            });
+        }
+
+        function filtering() {
+            return facets.some(function (key) { return selected[key].length; });
+        }
+
+        function studyById(id) {
+            return studies.filter(function (study) { return study.id === id; })[0];
+        }
+
+        /* --- URL state --- */
+
+        function readQuery() {
+            var params = new URLSearchParams(window.location.search);
+            // One parameter per value (?skill=Apex&skill=Flows) — skill names can hold commas
+            facets.forEach(function (key) {
+                selected[key] = params.getAll(key).filter(Boolean);
+            });
+            comparing = (params.get('compare') || '').split(',').filter(function (id, i, list) {
+                return studyById(id) && list.indexOf(id) === i;
+            }).slice(0, CASE_COMPARE_MAX);
+        }
+
+        function writeQuery() {
+            var params = new URLSearchParams(window.location.search);
+            facets.forEach(function (key) {
+                params.delete(key);
+                selected[key].forEach(function (value) { params.append(key, value); });
+            });
+            if (comparing.length) params.set('compare', comparing.join(','));
+            else params.delete('compare');
+            var query = params.toString();
+            history.replaceState(history.state, '', window.location.pathname + (query ? '?' + query : '') + window.location.hash);
+        }
+
+        /* --- Render --- */
+
+        function render(animate) {
+            animateLayout(studies.map(function (study) { return study.el; }), function () {
+                studies.forEach(function (study) {
+                    study.el.hidden = !matches(study);
+                });
+                sections.forEach(function (section) {
+                    section.hidden = !studies.some(function (study) {
+                        return study.section === section && !study.el.hidden;
+                    });
+                });
+            }, animate);
+
+            buttons.forEach(function (btn) {
+                var key = btn.dataset.facet;
+                var value = btn.dataset.value;
+                var on = selected[key].indexOf(value) !== -1;
+                var count = studies.filter(function (study) {
+                    return matches(study, key) && study[key].indexOf(value) !== -1;
+                }).length;
+
+                btn.classList.toggle('active', on);
+                btn.setAttribute('aria-pressed', on);
+                btn.disabled = !count && !on;
+                btn.querySelector('.gallery-filter__count').textContent = count;
+            });
+
+            chipButtons.forEach(function (chip) {
+                chip.setAttribute('aria-pressed', selected[chip.dataset.facet].indexOf(chip.dataset.value) !== -1);
+            });
+
+            var shown = studies.filter(function (study) { return !study.el.hidden; }).length;
+            clearBtn.hidden = !filtering();
+            empty.hidden = shown > 0;
+            summary.textContent = filtering() ? shown + ' of ' + studies.length + ' case studies' : '';
+        }
+
+        function compareColumn(study) {
+            var tags = study.tags.map(function (tag) {
+                return '<span class="tag tag--small">' + escapeHTML(tag) + '</span>';
+            }).join('');
+            var blocks = Array.prototype.map.call(study.el.querySelectorAll('.case-study-pso__block'), function (block) {
+                return '<div class="case-compare__cell case-study-pso__block">' + block.innerHTML + '</div>';
+            });
+            return {
+                head: '<div class="case-compare__cell case-compare__head">' +
+                    '<span class="case-study-card__client">' + escapeHTML(study.client) + '</span>' +
+                    '<h3 class="case-compare__title"><a href="#' + escapeHTML(study.id) + '">' + escapeHTML(study.title) + '</a></h3>' +
+                    '<div class="case-study-card__tags">' + tags + '</div>' +
+                    '</div>',
+                blocks: blocks,
+            };
+        }
+
+        function renderCompare(reveal) {
+            studies.forEach(function (study) {
+                var on = comparing.indexOf(study.id) !== -1;
+                study.compareBtn.classList.toggle('active', on);
+                study.compareBtn.setAttribute('aria-pressed', on);
+                study.compareBtn.disabled = !on && comparing.length >= CASE_COMPARE_MAX;
+            });
+
+            status.textContent = comparing.length === 1
+                ? 'Comparing ' + studyById(comparing[0]).title + ' — pick one more study'
+                : '';
+
+            if (comparing.length < CASE_COMPARE_MAX) {
+                panel.hidden = true;
+                panel.innerHTML = '';
+                return;
+            }
+
+            // Row by row, so each Problem / Solution / Outcome sits beside its counterpart
+            var columns = comparing.map(function (id) { return compareColumn(studyById(id)); });
+            var rows = [columns.map(function (col) { return col.head; }).join('')];
+            for (var i = 0; i < Math.max(columns[0].blocks.length, columns[1].blocks.length); i++) {
+                rows.push(columns.map(function (col) {
+                    return col.blocks[i] || '<div class="case-compare__cell"></div>';
+                }).join(''));
+            }
+
+            panel.innerHTML = '<div class="case-compare__bar">' +
+                '<span class="gallery-filter__label">Side by side</span>' +
+                '<button class="case-compare__close" type="button">Close comparison</button>' +
+                '</div>' +
+                '<div class="case-compare__grid">' + rows.join('') + '</div>';
+            panel.hidden = false;
+
+            panel.querySelector('.case-compare__close').addEventListener('click', function () {
+                comparing = [];
+                writeQuery();
+                renderCompare(false);
+                bar.focus({ preventScroll: true });
+            });
+
+            if (reveal) {
+                panel.scrollIntoView({ block: 'start', behavior: prefersReducedMotion ? 'auto' : 'smooth' });
+                panel.focus({ preventScroll: true });
+            }
+        }
+
+        /* --- Events --- */
+
+        function toggleValue(key, value) {
+            var list = selected[key];
+            var at = list.indexOf(value);
+            if (at === -1) list.push(value);
+            else list.splice(at, 1);
+            writeQuery();
+            render(true);
+        }
+
+        bar.addEventListener('click', function (e) {
+            var btn = e.target.closest('.gallery-filter__btn');
+            if (btn) toggleValue(btn.dataset.facet, btn.dataset.value);
+        });
+
+        chipButtons.forEach(function (chip) {
+            function activate() {
+                toggleValue(chip.dataset.facet, chip.dataset.value);
+                bar.scrollIntoView({ block: 'start', behavior: prefersReducedMotion ? 'auto' : 'smooth' });
+            }
+            chip.addEventListener('click', activate);
+            chip.addEventListener('keydown', function (e) {
+                if (e.key !== 'Enter' && e.key !== ' ') return;
+                e.preventDefault();
+                activate();
+            });
+        });
+
+        function clearAll() {
+            facets.forEach(function (key) { selected[key] = []; });
+            writeQuery();
+            render(true);
+        }
+
+        clearBtn.addEventListener('click', clearAll);
+        empty.querySelector('button').addEventListener('click', clearAll);
+
+        /* --- Deep links --- */
+
+        // salesforce.html#<id>: show the study even if a filter hid it,
+        // open it, and mark it briefly so it's easy to spot
+        function openTarget() {
+            var study = studyById(decodeURIComponent(window.location.hash.slice(1)));
+            if (!study) return;
+            if (study.el.hidden) {
+                facets.forEach(function (key) { selected[key] = []; });
+                writeQuery();
+                render(false);
+            }
+            setExpanded(study, true, false);
+            study.el.scrollIntoView();
+
+            study.el.classList.remove('case-study--target');
+            void study.el.offsetWidth;     // restart the highlight animation
+            study.el.classList.add('case-study--target');
+            setTimeout(function () {
+                study.el.classList.remove('case-study--target');
+            }, CASE_TARGET_MS);
+        }
+
+        bar.setAttribute('tabindex', '-1');
+        readQuery();
+        render(false);
+        renderCompare(false);
+        openTarget();
+        window.addEventListener('hashchange', openTarget, { signal: pageSignal() });
+    }
+
+    /* ============================================
+       BLOG INDEX — FILTER, SORT, LOAD MORE
+       ============================================
+       Drives blog.html from the cards themselves: every
+       .article-card's `tag--small` labels become tags, its
+       <time datetime> the publish date, its "N min read" the
+       reading time, and its section-divider label the topic.
+
+       A .blog-filter bar gets Topic and Tag button groups
+       (OR within a group, AND across, like the gallery) plus
+       a sort menu. Each section shows data-page-size cards
+       (default 6) with a "Show more" button for the rest, and
+       sections with no matches step aside. State lives in the
+       query string: blog.html?tag=Agentforce,LWC&sort=oldest
+    */
+
+    var BLOG_SORTS = {
+        newest: { label: 'Newest first', compare: function (a, b) { return b.published.localeCompare(a.published); } },
+        oldest: { label: 'Oldest first', compare: function (a, b) { return a.published.localeCompare(b.published); } },
+        reading: { label: 'Quickest read', compare: function (a, b) { return a.minutes - b.minutes; } },
+    };
+    var BLOG_DEFAULT_SORT = 'newest';
+    var BLOG_FACETS = [
+        { key: 'topic', label: 'Topic' },
+        { key: 'tag', label: 'Tags' },
+    ];
+
+    function initBlogIndex() {
+        var filterBar = document.querySelector('.blog-filter');
+        var cards = document.querySelectorAll('.blog-grid .article-card');
+        if (!filterBar || !cards.length) return;
+
+        var pageSize = parseInt(filterBar.getAttribute('data-page-size'), 10) || 6;
+
+        var posts = Array.prototype.map.call(cards, function (card, order) {
+            var section = card.closest('.section');
+            var label = section && section.querySelector('.section-divider__label');
+            var time = card.querySelector('time[datetime]');
+            var readTime = (card.querySelector('span.article-card__date') || {}).textContent || '';
+            return {
+                card: card,
+                grid: card.parentNode,
+                order: order,
+                topic: label ? [label.textContent.trim()] : [],
+                tag: Array.prototype.map.call(card.querySelectorAll('.tag--small'), function (tag) {
+                    return tag.textContent.trim();
+                }),
+                published: time ? time.getAttribute('datetime') : '',
+                minutes: parseInt((readTime.match(/\d+/) || [0])[0], 10),
+            };
+        });
+
+        var groups = [];
+        posts.forEach(function (post) {
+            var group = groups.filter(function (g) { return g.grid === post.grid; })[0];
+            if (!group) {
+                group = { grid: post.grid, section: post.grid.closest('.section'), posts: [], limit: pageSize };
+                groups.push(group);
+            }
+            group.posts.push(post);
+        });
+
+        var selected = { topic: [], tag: [] };
+        var sort = BLOG_DEFAULT_SORT;
+
+        /* --- Build the bar --- */
+
+        var html = '';
+        BLOG_FACETS.forEach(function (facet) {
+            var values = [];
+            posts.forEach(function (post) {
+                post[facet.key].forEach(function (v) {
+                    if (values.indexOf(v) === -1) values.push(v);
+                });
+            });
+            // Topics keep page order; tags go most-used first
+            if (facet.key === 'tag') {
+                values.sort(function (a, b) {
+                    return usage(b) - usage(a) || a.localeCompare(b);
+                });
+            }
+            if (values.length < 2) return;
+
+            html += '<div class="gallery-filter__group" role="group" aria-label="' + facet.label + '">' +
+                '<span class="gallery-filter__label">' + facet.label + '</span>' +
+                values.map(function (v) {
+                    return '<button class="gallery-filter__btn" type="button" data-facet="' + facet.key + '" data-value="' + escapeHTML(v) + '" aria-pressed="false">' +
+                        escapeHTML(v) + ' <span class="gallery-filter__count"></span></button>';
+                }).join('') +
+                '</div>';
+        });
+        html += '<div class="blog-filter__footer">' +
+            '<label class="blog-filter__sort"><span class="gallery-filter__label">Sort</span>' +
+            '<select class="blog-filter__select">' +
+            Object.keys(BLOG_SORTS).map(function (key) {
+                return '<option value="' + key + '">' + BLOG_SORTS[key].label + '</option>';
+            }).join('') +
+            '</select></label>' +
+            '<button class="gallery-filter__clear" type="button">Clear filters</button>' +
+            '<span class="gallery-filter__summary" aria-live="polite"></span>' +
+            '</div>';
+        filterBar.innerHTML = html;
+
+        function usage(tag) {
+            return posts.filter(function (post) { return post.tag.indexOf(tag) !== -1; }).length;
+        }
+
+        var buttons = filterBar.querySelectorAll('.gallery-filter__btn');
+        var sortSelect = filterBar.querySelector('.blog-filter__select');
+        var clearBtn = filterBar.querySelector('.gallery-filter__clear');
+        var summary = filterBar.querySelector('.gallery-filter__summary');
+
+        var empty = document.createElement('div');
+        empty.className = 'gallery-filter__empty';
+        empty.hidden = true;
+        empty.innerHTML = '<p>No posts match those filters.</p><button class="btn btn--outline" type="button">Clear filters</button>';
+        filterBar.parentNode.insertBefore(empty, filterBar.nextSibling);
+
+        groups.forEach(function (group) {
+            var more = document.createElement('button');
+            more.type = 'button';
+            more.className = 'btn btn--outline blog-filter__more';
+            more.hidden = true;
+            more.addEventListener('click', function () {
+                group.limit += pageSize;
+                render(true);
+                // Move focus to the first newly revealed card
+                var next = sorted(group.posts).filter(function (post) { return matches(post); })[group.limit - pageSize];
+                if (next) next.card.focus({ preventScroll: true });
+            });
+            group.grid.parentNode.insertBefore(more, group.grid.nextSibling);
+            group.more = more;
+        });
+
+        /* --- Matching --- */
+
+        function matches(post, except) {
+            return BLOG_FACETS.every(function (facet) {
+                var want = selected[facet.key];
+                if (facet.key === except || !want.length) return true;
+                return want.some(function (v) { return post[facet.key].indexOf(v) !== -1; });
+            });
+        }
+
+        function sorted(list) {
+            var compare = BLOG_SORTS[sort].compare;
+            return list.slice().sort(function (a, b) {
+                return compare(a, b) || a.order - b.order;
+            });
+        }
+
+        /* --- URL state --- */
+
+        function readQuery() {
+            var params = new URLSearchParams(window.location.search);
+            BLOG_FACETS.forEach(function (facet) {
+                selected[facet.key] = (params.get(facet.key) || '').split(',').filter(Boolean);
+            });
+            sort = BLOG_SORTS[params.get('sort')] ? params.get('sort') : BLOG_DEFAULT_SORT;
+        }
+
+        function writeQuery() {
+            var params = new URLSearchParams(window.location.search);
+            BLOG_FACETS.forEach(function (facet) {
+                if (selected[facet.key].length) params.set(facet.key, selected[facet.key].join(','));
+                else params.delete(facet.key);
+            });
+            if (sort !== BLOG_DEFAULT_SORT) params.set('sort', sort);
+            else params.delete('sort');
+            var query = params.toString();
+            history.replaceState(history.state, '', window.location.pathname + (query ? '?' + query : '') + window.location.hash);
+        }
+
+        /* --- Render --- */
+
+        function render(animate) {
+            var shown = 0;
+
+            animateLayout(posts.map(function (post) { return post.card; }), function () {
+                groups.forEach(function (group) {
+                    var matching = sorted(group.posts).filter(function (post) { return matches(post); });
+
+                    sorted(group.posts).forEach(function (post) {
+                        group.grid.appendChild(post.card);
+                        var at = matching.indexOf(post);
+                        post.card.hidden = at === -1 || at >= group.limit;
+                    });
+
+                    var rest = matching.length - group.limit;
+                    group.more.hidden = rest <= 0;
+                    if (rest > 0) {
+                        var next = Math.min(rest, pageSize);
+                        group.more.textContent = 'Show ' + next + ' more ' + (next === 1 ? 'post' : 'posts');
+                    }
+                    if (group.section) group.section.hidden = !matching.length;
+                    shown += matching.length;
+                });
+            }, animate);
+
+            buttons.forEach(function (btn) {
+                var facet = btn.dataset.facet;
+                var value = btn.dataset.value;
+                var on = selected[facet].indexOf(value) !== -1;
+                var count = posts.filter(function (post) {
+                    return matches(post, facet) && post[facet].indexOf(value) !== -1;
+                }).length;
+
+                btn.classList.toggle('active', on);
+                btn.setAttribute('aria-pressed', on);
+                btn.disabled = !count && !on;
+                btn.querySelector('.gallery-filter__count').textContent = count;
+            });
+
+            var filtering = BLOG_FACETS.some(function (facet) { return selected[facet.key].length; });
+            sortSelect.value = sort;
+            clearBtn.hidden = !filtering;
+            empty.hidden = shown > 0;
+            summary.textContent = filtering ? shown + ' of ' + posts.length + ' posts' : '';
+        }
+
+        // A new selection starts every section back at its first page
+        function resetPages() {
+            groups.forEach(function (group) { group.limit = pageSize; });
+        }
+
+        filterBar.addEventListener('click', function (e) {
+            var btn = e.target.closest('.gallery-filter__btn');
+            if (!btn) return;
+            var list = selected[btn.dataset.facet];
+            var at = list.indexOf(btn.dataset.value);
+            if (at === -1) list.push(btn.dataset.value);
+            else list.splice(at, 1);
+            resetPages();
+            writeQuery();
+            render(true);
+        });
+
+        sortSelect.addEventListener('change', function () {
+            sort = sortSelect.value;
+            writeQuery();
+            render(true);
+        });
+
+        function clearAll() {
+            BLOG_FACETS.forEach(function (facet) { selected[facet.key] = []; });
+            resetPages();
+            writeQuery();
+            render(true);
+        }
+
+        clearBtn.addEventListener('click', clearAll);
+        empty.querySelector('button').addEventListener('click', clearAll);
+
+        readQuery();
+        render(false);
+    }
+
+    /* ============================================
+       POST FOOTER — RELATED + PREVIOUS / NEXT
+       ============================================
+       scripts/build-pages.js writes both into every
+       article under blog/, so they work without JS. Here
+       the built cards get their reveal; an empty
+       <div class="related-posts" data-related-posts> is
+       filled from posts.json instead, the manifest the
+       build writes alongside (newest first: slug, title,
+       date, topic, tags, description, readTime, image — a
+       placeholder-img variant).
+
+       Related posts are scored by shared tags, then same
+       topic, then recency — as in the build. Previous/next
+       follow manifest order: previous is older, next newer.
+    */
+
+    var RELATED_POST_COUNT = 2;
+
+    function postCardHTML(post) {
+        var url = SITE_ROOT + 'blog/' + post.slug + '.html';
+        return '<a href="' + escapeHTML(url) + '" class="article-card">' +
+            (post.image ? '<div class="article-card__img"><div class="placeholder-img placeholder-img--' + escapeHTML(post.image) + '"></div></div>' : '') +
+            '<div class="article-card__body">' +
+                '<div class="article-card__meta">' +
+                    post.tags.slice(0, 2).map(function (tag) {
+                        return '<span class="tag tag--small">' + escapeHTML(tag) + '</span>';
+                    }).join('') +
+                    '<span class="article-card__date">' + post.readTime + ' min read</span>' +
+                '</div>' +
+                '<h4 class="article-card__title">' + escapeHTML(post.title) + '</h4>' +
+                '<p class="article-card__desc">' + escapeHTML(post.description) + '</p>' +
+                '<span class="text-link text-link--small">Read post <span class="arrow">&rarr;</span></span>' +
+            '</div>' +
+        '</a>';
+    }
+
+    function relatedPosts(current, posts) {
+        var last = Math.max(posts.length - 1, 1);
+        return posts
+            .filter(function (post) { return post !== current; })
+            .map(function (post) {
+                var shared = post.tags.filter(function (tag) { return current.tags.indexOf(tag) !== -1; }).length;
+                var recency = 1 - posts.indexOf(post) / last;
+                return { post: post, score: shared * 10 + (post.topic === current.topic ? 3 : 0) + recency * 2 };
+            })
+            .sort(function (a, b) { return b.score - a.score; })
+            .slice(0, RELATED_POST_COUNT)
+            .map(function (entry) { return entry.post; });
+    }
+
+    function postNavLinkHTML(post, rel) {
+        var label = rel === 'prev'
+            ? '<span class="arrow">&larr;</span> Previous post'
+            : 'Next post <span class="arrow">&rarr;</span>';
+        return '<a class="post-nav__link post-nav__link--' + rel + '" href="' + escapeHTML(SITE_ROOT + 'blog/' + post.slug + '.html') + '" rel="' + rel + '">' +
+            '<span class="post-nav__label">' + label + '</span>' +
+            '<span class="post-nav__title">' + escapeHTML(post.title) + '</span>' +
+        '</a>';
+    }
+
+    function revealRelated(container) {
+        var grid = container.querySelector('.related-posts__grid');
+        if (grid && window.Motion) window.Motion.register(grid, { stagger: 100 });
+    }
+
+    function initPostFooter() {
+        var container = document.querySelector('[data-related-posts]');
+        if (!container) return;
+
+        // Built into the page already — just animate it in
+        if (container.children.length) {
+            revealRelated(container);
+            return;
+        }
+        if (!window.fetch) return;
+
+        // Works for /blog/slug.html and the extensionless /blog/slug
+        var slug = window.location.pathname.split('/').pop().replace(/\.html$/, '');
+
+        fetch(SITE_ROOT + 'posts.json')
+            .then(function (res) {
+                if (!res.ok) throw new Error('HTTP ' + res.status);
+                return res.json();
+            })
+            .then(function (data) {
+                var posts = data.posts || [];
+                var current = posts.filter(function (post) { return post.slug === slug; })[0];
+                if (!current) return;
+
+                var related = relatedPosts(current, posts);
+                if (related.length) {
+                    container.innerHTML = '<h3 class="related-posts__title">Related Posts</h3>' +
+                        '<div class="related-posts__grid">' + related.map(postCardHTML).join('') + '</div>';
+                    container.hidden = false;
+                    revealRelated(container);
+                }
+
+                var at = posts.indexOf(current);
+                var older = posts[at + 1];
+                var newer = at > 0 ? posts[at - 1] : null;
+                if (!older && !newer) return;
+
+                var nav = document.createElement('nav');
+                nav.className = 'post-nav';
+                nav.setAttribute('aria-label', 'More posts');
+                nav.innerHTML = (older ? postNavLinkHTML(older, 'prev') : '') +
+                    (newer ? postNavLinkHTML(newer, 'next') : '');
+                container.parentNode.insertBefore(nav, container.nextSibling);
+            })
+            .catch(function () {
+                // No manifest (e.g. opened from disk) — the article simply ends
+            });
+    }
+
+    /* ============================================
+       ARTICLE READING TOOLS — TOC, SCROLL-SPY, PROGRESS
+       ============================================
+       On pages with an article.blog-article:
+         - every h2/h3 gets an id (slug of its text, kept
+           if already set) and a copy-link button
+         - a table of contents is built from them and placed
+           before the first h2 (a fixed side rail on wide
+           screens, see styles.css)
+         - a scroll-spy marks the section being read
+         - a bar along the top tracks progress through
+           the article
+         - a post without a read time in its blog-meta gets
+           an estimate from the article's word count; an
+           authored one stays, as it matches the post's card
+           and posts.json
+       Scroll work is rAF-throttled like initScrollLinked.
+    */
+
+    var WORDS_PER_MINUTE = 265;
+    var TOC_MIN_HEADINGS = 3;
+    // Fixed nav height plus a little breathing room
+    var SPY_OFFSET = 96;
+
+    function slugify(str) {
+        return str.toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    function readingMinutes(article) {
+        var copy = article.cloneNode(true);
+        // Runs before initCodeBlocks, so code is still plain <pre> text
+        copy.querySelectorAll('.blog-back, .blog-meta, .related-posts, .post-nav, .article-toc').forEach(function (el) {
+            el.remove();
+        });
+        var words = (copy.textContent.match(/\S+/g) || []).length;
+        return Math.max(1, Math.round(words / WORDS_PER_MINUTE));
+    }
+
+    function injectReadingTime(article) {
+        var meta = document.querySelector('.blog-meta');
+        if (!meta) return;
+
+        var authored = Array.prototype.some.call(meta.querySelectorAll('.blog-meta__label'), function (label) {
+            return /^read/i.test(label.textContent.trim());
+        });
+        if (authored) return;
+
+        var minutes = readingMinutes(article);
+        var item = document.createElement('div');
+        item.className = 'blog-meta__item';
+        item.innerHTML = '<span class="blog-meta__label">Read Time</span><span class="blog-meta__value"></span>';
+        meta.insertBefore(item, meta.querySelector('.blog-meta__tags'));
+
+        var value = item.querySelector('.blog-meta__value');
+        value.textContent = minutes + ' min';
+        value.setAttribute('data-reading-time', minutes);
+    }
+
+    function initArticleTools() {
+        var article = document.querySelector('article.blog-article');
+        if (!article) return;
+
+        injectReadingTime(article);
+
+        var headings = Array.prototype.filter.call(article.querySelectorAll('h2, h3'), function (h) {
+            return !h.closest('.related-posts, .post-nav');
+        });
+
+        /* --- Anchor ids + copy-link buttons --- */
+
+        var used = {};
+        var labels = [];
+        var announcer = document.createElement('span');
+        announcer.className = 'visually-hidden';
+        announcer.setAttribute('role', 'status');
+        article.appendChild(announcer);
+
+        headings.forEach(function (heading, i) {
+            var text = heading.textContent.trim();
+            labels[i] = text;
+            var id = heading.id || slugify(text) || 'section';
+            if (!heading.id) {
+                var base = id;
+                for (var n = 2; used[id] || document.getElementById(id); n++) id = base + '-' + n;
+                heading.id = id;
+            }
+            used[id] = true;
+
+            var btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'heading-anchor';
+            btn.setAttribute('aria-label', 'Copy link to section: ' + text);
+            btn.innerHTML = '<span aria-hidden="true">#</span>';
+            heading.appendChild(btn);
+        });
+
+        article.addEventListener('click', function (e) {
+            var btn = e.target.closest('.heading-anchor');
+            if (!btn) return;
+            var id = btn.parentNode.id;
+            var url = window.location.href.split('#')[0] + '#' + id;
+
+            history.replaceState(history.state, '', '#' + id);
+
+            var copied = navigator.clipboard && window.isSecureContext
+                ? navigator.clipboard.writeText(url)
+                : Promise.reject(new Error('Clipboard unavailable'));
+
+            copied.then(function () {
+                btn.classList.add('heading-anchor--copied');
+                announcer.textContent = 'Link copied';
+                setTimeout(function () {
+                    btn.classList.remove('heading-anchor--copied');
+                    announcer.textContent = '';
+                }, 1600);
+            }, function () {
+                // No clipboard — the address bar now holds the link
+                announcer.textContent = 'Link is in the address bar';
+            });
+        });
+
+        /* --- Table of contents --- */
+
+        var tocLinks = [];
+        var toc = null;
+        var firstH2 = headings.filter(function (h) { return h.tagName === 'H2'; })[0];
+
+        if (headings.length >= TOC_MIN_HEADINGS && firstH2) {
+            toc = document.createElement('nav');
+            toc.className = 'article-toc';
+            toc.setAttribute('aria-labelledby', 'articleTocTitle');
+            toc.innerHTML = '<p class="article-toc__title" id="articleTocTitle">On this page</p>' +
+                '<ol class="article-toc__list">' +
+                headings.map(function (h, i) {
+                    return '<li class="article-toc__item article-toc__item--' + h.tagName.toLowerCase() + '">' +
+                        '<a class="article-toc__link" href="#' + escapeHTML(h.id) + '">' + escapeHTML(labels[i]) + '</a></li>';
+                }).join('') +
+                '</ol>';
+            firstH2.parentNode.insertBefore(toc, firstH2);
+            tocLinks = Array.prototype.slice.call(toc.querySelectorAll('.article-toc__link'));
+        }
+
+        /* --- Reading progress bar --- */
+
+        var progress = document.createElement('div');
+        progress.className = 'reading-progress';
+        progress.setAttribute('aria-hidden', 'true');
+        progress.innerHTML = '<div class="reading-progress__bar"></div>';
+        document.body.appendChild(progress);
+        var bar = progress.firstChild;
+
+        // The bar lives outside <main>, so it leaves with the page by hand
+        if (pageLifetime) {
+            pageSignal().addEventListener('abort', function () { progress.remove(); });
+        }
+
+        /* --- Scroll-spy + progress (rAF-throttled) --- */
+
+        var ticking = false;
+        var activeIndex = -2;
+
+        function update() {
+            var rect = article.getBoundingClientRect();
+            var viewport = window.innerHeight;
+            var distance = rect.height - viewport;
+            var ratio = distance > 0 ? -rect.top / distance : (rect.top < 0 ? 1 : 0);
+            bar.style.transform = 'scaleX(' + Math.min(1, Math.max(0, ratio)) + ')';
+
+            if (!toc) return;
+
+            // Side rail only while the article fills the viewport's middle
+            toc.classList.toggle('article-toc--in-view', rect.top < viewport / 2 && rect.bottom > viewport / 2);
+
+            var current = -1;
+            headings.forEach(function (h, i) {
+                if (h.getBoundingClientRect().top <= SPY_OFFSET) current = i;
+            });
+            if (current === activeIndex) return;
+            activeIndex = current;
+            tocLinks.forEach(function (link, i) {
+                var on = i === current;
+                link.classList.toggle('article-toc__link--active', on);
+                if (on) link.setAttribute('aria-current', 'location');
+                else link.removeAttribute('aria-current');
+            });
+        }
+
+        function onScroll() {
+            if (ticking) return;
+            ticking = true;
+            requestAnimationFrame(function () {
+                update();
+                ticking = false;
+            });
+        }
+
+        window.addEventListener('scroll', onScroll, { passive: true, signal: pageSignal() });
+        window.addEventListener('resize', onScroll, { signal: pageSignal() });
+        update();
+    }
+
+    /* ============================================
+       CODE BLOCKS — HIGHLIGHTING, LINES, COPY, COLLAPSE
+       ============================================
+       Enhances every <pre><code> inside article.blog-article.
+
+       Language comes from class="language-apex" on the
+       <code> (or <pre>); without one, detectLanguage()
+       guesses from the source. "text" opts out. Supported:
+       apex, soql, python, javascript, json, yaml, markup.
+
+       The highlighter is a small tokenizer: each grammar is
+       an ordered list of [token, pattern] rules tried at
+       every position, first match wins. A rule named after
+       another grammar hands its match to that grammar (Apex's
+       inline SOQL). Tokens become
+       <span class="tok-…"> inside one span per line, which
+       gives line numbers (CSS counters) and lets
+       data-highlight="3,7-9" on the <pre> mark lines.
+
+       Each block gets a toolbar with its language and a
+       copy button; blocks over CODE_COLLAPSE_LINES start
+       collapsed behind a "Show all N lines" toggle.
+    */
+
+    var CODE_COLLAPSE_LINES = 40;
+
+    var APEX_KEYWORDS = 'abstract|after|before|break|catch|class|continue|delete|do|else|enum|extends|final|finally|for|global|if|implements|insert|instanceof|interface|merge|new|on|override|private|protected|public|return|sharing|static|super|switch|testmethod|this|throw|transient|trigger|try|undelete|update|upsert|virtual|void|webservice|when|while|with|without';
+    var SOQL_KEYWORDS = 'select|from|where|and|or|not|in|like|includes|excludes|order|by|group|having|limit|offset|asc|desc|nulls|first|last|typeof|using|scope|for|view|reference|rollup|cube';
+
+    var CODE_GRAMMARS = {
+        apex: [
+            ['comment', /\/\/.*|\/\*[\s\S]*?\*\//],
+            ['string', /'(?:\\.|[^'\\\n])*'/],
+            // Inline [SELECT …] queries get the SOQL grammar, so words like
+            // Order or limit are only keywords inside one
+            ['soql', /\[\s*SELECT\b[^\]]*\]/i],
+            ['annotation', /@\w+/],
+            ['keyword', new RegExp('\\b(?:' + APEX_KEYWORDS + ')\\b', 'i')],
+            ['literal', /\b(?:true|false|null)\b/i],
+            ['number', /\b\d+(?:\.\d+)?[LD]?\b/i],
+            ['type', /\b[A-Z]\w*\b/],
+            ['function', /\b[a-z_]\w*(?=\s*\()/i],
+        ],
+        soql: [
+            ['comment', /\/\/.*/],
+            ['string', /'(?:\\.|[^'\\\n])*'/],
+            ['keyword', new RegExp('\\b(?:' + SOQL_KEYWORDS + ')\\b', 'i')],
+            ['literal', /\b(?:true|false|null|today|yesterday|tomorrow|(?:last|next|this)_(?:n_)?(?:days|weeks|months|quarters|years|week|month|quarter|year)(?::\d+)?)\b/i],
+            ['function', /\b[a-z_]\w*(?=\s*\()/i],
+            ['number', /\b\d+(?:\.\d+)?\b/],
+            ['variable', /:\w+/],
+        ],
+        python: [
+            ['comment', /#.*/],
+            ['string', /[rbfu]{0,2}(?:"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*')/i],
+            ['annotation', /@[\w.]+/],
+            ['keyword', /\b(?:and|as|assert|async|await|break|class|continue|def|del|elif|else|except|finally|for|from|global|if|import|in|is|lambda|nonlocal|not|or|pass|raise|return|try|while|with|yield)\b/],
+            ['literal', /\b(?:True|False|None|self)\b/],
+            ['number', /\b\d+(?:\.\d+)?\b/],
+            ['type', /\b[A-Z]\w*\b/],
+            ['function', /\b[a-z_]\w*(?=\s*\()/i],
+        ],
+        javascript: [
+            ['comment', /\/\/.*|\/\*[\s\S]*?\*\//],
+            ['string', /`(?:\\[\s\S]|[^`\\])*`|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/],
+            ['annotation', /@\w+/],
+            ['keyword', /\b(?:async|await|break|case|catch|class|const|continue|default|delete|do|else|export|extends|finally|for|from|function|if|import|in|instanceof|let|new|of|return|static|super|switch|this|throw|try|typeof|var|void|while|yield)\b/],
+            ['literal', /\b(?:true|false|null|undefined|NaN)\b/],
+            ['number', /\b\d+(?:\.\d+)?\b/],
+            ['type', /\b[A-Z]\w*\b/],
+            ['function', /\b[a-z_$][\w$]*(?=\s*\()/i],
+        ],
+        json: [
+            ['property', /"(?:\\.|[^"\\\n])*"(?=\s*:)/],
+            ['string', /"(?:\\.|[^"\\\n])*"/],
+            ['literal', /\b(?:true|false|null)\b/],
+            ['number', /-?\b\d+(?:\.\d+)?(?:e[+-]?\d+)?\b/i],
+        ],
+        yaml: [
+            ['comment', /#.*|\/\/.*/],
+            ['property', /[\w.-]+(?=:(?:\s|$))/],
+            ['string', /"(?:\\.|[^"\\])*"|'(?:[^'])*'/],
+            ['literal', /\b(?:true|false|null|yes|no)\b/i],
+            ['number', /\b\d+(?:\.\d+)?\b/],
+            ['punctuation', /^\s*-(?=\s)/m],
+        ],
+        markup: [
+            ['comment', /<!--[\s\S]*?-->/],
+            ['tag', /<\/?[\w:.-]+|\/?>/],
+            ['property', /\b[\w:.-]+(?==)/],
+            ['string', /"[^"]*"|'[^']*'/],
+        ],
+    };
+
+    var CODE_LANGUAGE_LABELS = {
+        apex: 'Apex', soql: 'SOQL', python: 'Python', javascript: 'JavaScript',
+        json: 'JSON', yaml: 'YAML', markup: 'HTML', text: 'Text',
+    };
+
+    // Compiled once: every rule becomes a sticky regex
+    var compiledGrammars = {};
+
+    function grammarFor(lang) {
+        if (!CODE_GRAMMARS[lang]) return null;
+        if (!compiledGrammars[lang]) {
+            compiledGrammars[lang] = CODE_GRAMMARS[lang].map(function (rule) {
+                return [rule[0], new RegExp(rule[1].source, rule[1].flags.replace('g', '') + 'y')];
+            });
+        }
+        return compiledGrammars[lang];
+    }
+
+    function detectLanguage(source) {
+        var trimmed = source.trim();
+        if (/^[[{]/.test(trimmed)) {
+            try { JSON.parse(trimmed); return 'json'; } catch (err) { /* not JSON */ }
+        }
+        if (/^</.test(trimmed)) return 'markup';
+        if (/^SELECT\b[\s\S]*\bFROM\b/i.test(trimmed) && !/[;{}]/.test(trimmed)) return 'soql';
+        if (/^\s*(?:import \w+|from [\w.]+ import|def \w+\(|class \w+(?:\(.*\))?:)/m.test(source) || /"""/.test(source)) return 'python';
+        if (/\b(?:public|private|global)\s+(?:(?:with|without) sharing\s+)?(?:class|static)\b|@(?:Invocable|Aura|Future)\w*|\btrigger\s+\w+\s+on\b|Database\.\w+/.test(source)) return 'apex';
+        if (/\bimport\b.*\bfrom\s+['"]|\bexport default\b|\b(?:const|let)\s+\w+\s*=|=>/.test(source)) return 'javascript';
+        if (/^[\w-]+:(?:\s|$)/m.test(source) && !/[;{}]/.test(source)) return 'yaml';
+        return 'text';
+    }
+
+    /**
+     * Returns one HTML string per source line. Tokens that span
+     * lines (block comments, docstrings) are closed and reopened
+     * at each line break so every line stays well-formed.
+     */
+    function highlightLines(source, lang) {
+        var rules = grammarFor(lang);
+        var lines = [''];
+
+        function emit(type, text) {
+            text.split('\n').forEach(function (part, i) {
+                if (i > 0) lines.push('');
+                if (!part) return;
+                lines[lines.length - 1] += type
+                    ? '<span class="tok-' + type + '">' + escapeHTML(part) + '</span>'
+                    : escapeHTML(part);
+            });
+        }
+
+        if (!rules) {
+            emit(null, source);
+            return lines;
+        }
+
+        var plain = '';
+        var pos = 0;
+        while (pos < source.length) {
+            var matched = null;
+            for (var r = 0; r < rules.length; r++) {
+                var pattern = rules[r][1];
+                pattern.lastIndex = pos;
+                var m = pattern.exec(source);
+                if (m && m[0]) {
+                    matched = { type: rules[r][0], text: m[0] };
+                    break;
+                }
+            }
+            if (!matched) {
+                // Skip a whole word at once so keywords never match mid-identifier
+                var word = /[\w$]+|[\s\S]/y;
+                word.lastIndex = pos;
+                var chunk = word.exec(source)[0];
+                plain += chunk;
+                pos += chunk.length;
+                continue;
+            }
+            if (plain) { emit(null, plain); plain = ''; }
+            if (CODE_GRAMMARS[matched.type]) {
+                // A language embedded in this one (Apex's inline SOQL)
+                highlightLines(matched.text, matched.type).forEach(function (line, i) {
+                    if (i > 0) lines.push('');
+                    lines[lines.length - 1] += line;
+                });
+            } else {
+                emit(matched.type, matched.text);
+            }
+            pos += matched.text.length;
+        }
+        if (plain) emit(null, plain);
+        return lines;
+    }
+
+    // "3,7-9" → { 3: true, 7: true, 8: true, 9: true }
+    function parseLineRanges(spec) {
+        var lines = {};
+        (spec || '').split(',').forEach(function (part) {
+            var range = part.trim().split('-').map(Number);
+            if (!range[0]) return;
+            for (var n = range[0]; n <= (range[1] || range[0]); n++) lines[n] = true;
+        });
+        return lines;
+    }
+
+    function copyText(text) {
+        if (navigator.clipboard && window.isSecureContext) return navigator.clipboard.writeText(text);
+        return Promise.reject(new Error('Clipboard unavailable'));
+    }
+
+    function initCodeBlocks() {
+        var blocks = document.querySelectorAll('article.blog-article pre > code');
+        if (!blocks.length) return;
+
+        Array.prototype.forEach.call(blocks, function (code, index) {
+            var pre = code.parentNode;
+            var source = code.textContent.replace(/\n$/, '');
+            var langClass = /\blanguage-(\w+)/.exec(code.className + ' ' + pre.className);
+            var lang = langClass ? langClass[1] : detectLanguage(source);
+            var marked = parseLineRanges(pre.getAttribute('data-highlight'));
+
+            code.innerHTML = highlightLines(source, lang).map(function (line, i) {
+                return '<span class="code-line' + (marked[i + 1] ? ' code-line--highlight' : '') + '">' + (line || ' ') + '</span>';
+            }).join('');
+            pre.classList.add('code-frame__pre');
+            if (!pre.id) pre.id = 'code-' + (index + 1);
+
+            /* --- Frame + toolbar --- */
+
+            var frame = document.createElement('div');
+            frame.className = 'code-frame';
+            pre.parentNode.insertBefore(frame, pre);
+
+            var lineCount = source.split('\n').length;
+            var bar = document.createElement('div');
+            bar.className = 'code-frame__bar';
+            bar.innerHTML = '<span class="code-frame__lang">' + escapeHTML(CODE_LANGUAGE_LABELS[lang] || lang) + '</span>' +
+                '<button type="button" class="code-frame__copy" aria-label="Copy code">Copy</button>';
+            frame.appendChild(bar);
+            frame.appendChild(pre);
+
+            var copyBtn = bar.querySelector('.code-frame__copy');
+            var resetTimer;
+            copyBtn.addEventListener('click', function () {
+                copyText(source).then(function () {
+                    copyBtn.textContent = 'Copied';
+                    copyBtn.classList.add('code-frame__copy--done');
+                }, function () {
+                    // No clipboard — select the code so Ctrl/Cmd+C works
+                    var range = document.createRange();
+                    range.selectNodeContents(code);
+                    var selection = window.getSelection();
+                    selection.removeAllRanges();
+                    selection.addRange(range);
+                    copyBtn.textContent = 'Press Ctrl+C';
+                });
+                clearTimeout(resetTimer);
+                resetTimer = setTimeout(function () {
+                    copyBtn.textContent = 'Copy';
+                    copyBtn.classList.remove('code-frame__copy--done');
+                }, 2000);
+            });
+
+            /* --- Collapse long snippets --- */
+
+            if (lineCount <= CODE_COLLAPSE_LINES) return;
+
+            var toggle = document.createElement('button');
+            toggle.type = 'button';
+            toggle.className = 'code-frame__toggle';
+            toggle.setAttribute('aria-controls', pre.id);
+            frame.appendChild(toggle);
+
+            function setCollapsed(collapsed) {
+                frame.classList.toggle('code-frame--collapsed', collapsed);
+                toggle.setAttribute('aria-expanded', collapsed ? 'false' : 'true');
+                toggle.textContent = collapsed ? 'Show all ' + lineCount + ' lines' : 'Collapse';
+            }
+
+            toggle.addEventListener('click', function () {
+                var collapsing = !frame.classList.contains('code-frame--collapsed');
+                setCollapsed(collapsing);
+                // Keep the block's top in view when folding it back up
+                if (collapsing && frame.getBoundingClientRect().top < 0) {
+                    frame.scrollIntoView({ block: 'start', behavior: prefersReducedMotion ? 'auto' : 'smooth' });
+                }
+            });
+
+            setCollapsed(true);
+        });
+    }
+
+    /* ============================================
+       CONTACT SUBMISSION
+       ============================================
+       Both forms POST their fields as JSON to the Worker
+       route in worker/contact.js. submitInquiry() resolves
+       (never rejects) with one of:
+         { status: 'sent', id }
+         { status: 'queued', id }   — offline; sw.js sends it once back online
+         { status: 'invalid', fields: { name: 'message' }, message }
+         { status: 'error', error, message }  — error is the Worker's code
+                                               (too_fast, rejected, rate_limited, ...)
+         { status: 'unreachable' }  — no API here; caller falls back to mailto
+    */
+
+    var CONTACT_ENDPOINT = '/api/contact';
+    var CONTACT_EMAIL = 'azlanallahwala@gmail.com';
+
+    function submitInquiry(fields) {
+        if (!window.fetch) return Promise.resolve({ status: 'unreachable' });
+
+        return fetch(CONTACT_ENDPOINT, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+            body: JSON.stringify(fields),
+        })
+            .then(function (res) {
+                return res.json().catch(function () { return null; });
+            })
+            .then(function (data) {
+                // A non-JSON reply (static host 404, proxy error page) means
+                // the API isn't deployed wherever this page is being served
+                if (!data || typeof data.ok !== 'boolean') return { status: 'unreachable' };
+                if (data.ok) return { status: data.queued ? 'queued' : 'sent', id: data.id };
+                if (data.error === 'invalid') {
+                    return { status: 'invalid', fields: data.fields || {}, message: data.message };
+                }
+                return { status: 'error', error: data.error, message: data.message };
+            }, function () {
+                return { status: 'unreachable' };
+            });
+    }
+
+    function escapeHTML(str) {
+        return String(str).replace(/[&<>"']/g, function (ch) {
+            return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch];
+        });
+    }
+
+    function buildMailto(subject, lines) {
+        return 'mailto:' + CONTACT_EMAIL +
+            '?subject=' + encodeURIComponent(subject) +
+            '&body=' + encodeURIComponent(lines.join('\n'));
+    }
+
+    /* ============================================
+       INQUIRY GUARD — SPAM & ABUSE CHECKS
+       ============================================
+       Client half of worker/guard.js, shared by both forms:
+         - a hidden honeypot input (name="website") inside
+           each form, sent along so the Worker can drop bots
+         - elapsedMs since the form opened; anything under
+           INQUIRY_GUARD.minSubmitMs is treated as a bot
+         - the same junk checks the Worker runs (link
+           stuffing, BBCode/HTML link markup) and its
+           message length limit
+       Errors render inline under the offending field.
+    */
+
+    var INQUIRY_GUARD = {
+        minSubmitMs: 3000,
+        maxLinks: 2,
+        maxMessage: 5000,   // the Worker's FIELD_LIMITS.message
+    };
+
+    var EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    var LINK_PATTERN = /(https?:\/\/|www\.)\S+/gi;
+    var LINK_MARKUP_PATTERN = /\[url[=\]]|<a\s+href|\[link[=\]]/i;
+
+    // Returns { field: message } for anything the Worker would reject
+    function checkInquiry(fields, rules) {
+        var errors = {};
+        var message = fields.message || '';
+        var links = message.match(LINK_PATTERN) || [];
+
+        if (!fields.name) errors.name = 'Please tell me your name.';
+        else if (fields.name.search(LINK_PATTERN) !== -1) errors.name = 'Names can\'t contain links.';
+
+        if (!fields.email) errors.email = 'Please add an email so I can reply.';
+        else if (!EMAIL_PATTERN.test(fields.email)) errors.email = 'That email address doesn\'t look right.';
+
+        if (rules && rules.messageRequired && !message) {
+            errors.message = 'Please tell me a little about your project.';
+        } else if (message.length > INQUIRY_GUARD.maxMessage) {
+            errors.message = 'Please keep this under ' + INQUIRY_GUARD.maxMessage + ' characters.';
+        } else if (links.length > INQUIRY_GUARD.maxLinks) {
+            errors.message = 'Please keep links to ' + INQUIRY_GUARD.maxLinks + ' or fewer.';
+        } else if (LINK_MARKUP_PATTERN.test(message)) {
+            errors.message = 'Please send plain text without link markup.';
+        }
+
+        return errors;
+    }
+
+    // Adds the honeypot value and elapsed time to an outgoing payload
+    function guardPayload(fields, form, startedAt) {
+        var honeypot = form.querySelector('input[name="website"]');
+        fields.website = honeypot ? honeypot.value : '';
+        fields.elapsedMs = Date.now() - startedAt;
+        return fields;
+    }
+
+    function isTooFast(startedAt) {
+        return Date.now() - startedAt < INQUIRY_GUARD.minSubmitMs;
+    }
+
+    function showFieldError(input, message) {
+        if (!input) return;
+        var id = input.id + '-error';
+        var errorEl = document.getElementById(id);
+        if (!errorEl) {
+            errorEl = document.createElement('p');
+            errorEl.className = 'field-error';
+            errorEl.id = id;
+            input.insertAdjacentElement('afterend', errorEl);
+        }
+        errorEl.textContent = message;
+        input.setAttribute('aria-invalid', 'true');
+        input.setAttribute('aria-describedby', id);
+    }
+
+    function clearFieldError(input) {
+        if (!input || !input.hasAttribute('aria-invalid')) return;
+        var errorEl = document.getElementById(input.id + '-error');
+        if (errorEl) errorEl.parentNode.removeChild(errorEl);
+        input.removeAttribute('aria-invalid');
+        input.removeAttribute('aria-describedby');
+    }
+
+    /* ============================================
+       CONTACT FORM
+       ============================================ */
+
+    function initContactForm() {
+        var contactForm = document.getElementById('contactForm');
+        if (!contactForm) return;
+
+        var btn = contactForm.querySelector('.btn');
+        var statusEl = contactForm.querySelector('.contact-form__status');
+        var btnLabel = btn.innerHTML;
+        var sending = false;
+
+        function setStatus(html, type) {
+            if (!statusEl) return;
+            statusEl.innerHTML = html;
+            statusEl.className = 'contact-form__status' + (type ? ' contact-form__status--' + type : '');
+        }
+
+        function resetButton() {
+            btn.innerHTML = btnLabel;
+            btn.classList.remove('btn--success');
+            btn.disabled = false;
+        }
+
+        function markInvalid(fieldErrors) {
+            var first = null;
+            Object.keys(fieldErrors).forEach(function (key) {
+                var input = contactForm.querySelector('#' + key);
+                if (!input) return;
+                showFieldError(input, fieldErrors[key]);
+                if (!first) first = input;
+            });
+            if (first) first.focus();
+        }
+
+        // The time-to-submit clock starts when the form first renders
+        var startedAt = Date.now();
+
+        // Clear a field's error as soon as the visitor edits it
+        contactForm.addEventListener('input', function (e) {
+            clearFieldError(e.target);
+        });
+
+        contactForm.addEventListener('submit', function (e) {
+            e.preventDefault();
+            if (sending) return;
+
+            // Gather form values
+            var fields = {};
+            ['name', 'email', 'company', 'projectType', 'budget', 'timeline', 'message'].forEach(function (key) {
+                fields[key] = ((contactForm.querySelector('#' + key) || {}).value || '').trim();
+            });
+
+            var errors = checkInquiry(fields, { messageRequired: true });
+            if (Object.keys(errors).length) {
+                markInvalid(errors);
+                setStatus('Please fix the highlighted fields.', 'error');
+                return;
+            }
+
+            if (isTooFast(startedAt)) {
+                setStatus('That was quick! Give it a few seconds and try again.', 'error');
+                return;
+            }
+
+            // Build mailto (fallback when the API can't be reached)
+            var bodyParts = [
+                'Hi Azlan,',
+                '',
+                'Name: ' + fields.name,
+                'Email: ' + fields.email
+            ];
+            if (fields.company) bodyParts.push('Company: ' + fields.company);
+            if (fields.projectType) bodyParts.push('Project Type: ' + fields.projectType);
+            if (fields.budget) bodyParts.push('Budget: ' + fields.budget);
+            if (fields.timeline) bodyParts.push('Timeline: ' + fields.timeline);
+            bodyParts.push('');
+            if (fields.message) bodyParts.push('Message:\n' + fields.message);
+            bodyParts.push('');
+            bodyParts.push('Sent from your portfolio site.');
+
+            var mailtoLink = buildMailto('New project inquiry from ' + fields.name + ' — ' + fields.projectType, bodyParts);
+
+            sending = true;
+            btn.disabled = true;
+            btn.innerHTML = 'Sending&hellip;';
+            setStatus('', '');
+
+            submitInquiry(guardPayload(fields, contactForm, startedAt)).then(function (result) {
+                sending = false;
+
+                if (result.status === 'sent') {
+                    contactForm.reset();
+                    startedAt = Date.now();
+                    btn.innerHTML = 'Message sent &#10003;';
+                    btn.classList.add('btn--success');
+                    setStatus('Thanks &mdash; your message is in. I\'ll reply within a business day.', 'success');
+                    setTimeout(resetButton, 3000);
+                    return;
+                }
+
+                if (result.status === 'queued') {
+                    contactForm.reset();
+                    startedAt = Date.now();
+                    btn.innerHTML = 'Saved &#10003;';
+                    btn.classList.add('btn--success');
+                    setStatus('You\'re offline &mdash; your message is saved and will send as soon as you\'re back online.', 'success');
+                    setTimeout(resetButton, 3000);
+                    return;
+                }
+
+                if (result.status === 'invalid') {
+                    resetButton();
+                    markInvalid(result.fields);
+                    setStatus('Please fix the highlighted fields.', 'error');
+                    return;
+                }
+
+                if (result.status === 'error') {
+                    resetButton();
+                    if (result.error === 'rejected') markInvalid({ message: result.message });
+                    setStatus(
+                        escapeHTML(result.message || 'Something went wrong sending your message.') +
+                        ' You can also <a href="' + mailtoLink + '">email me directly</a>.',
+                        'error'
+                    );
+                    return;
+                }
+
+                // Unreachable — hand off to the visitor's email client
+                window.location.href = mailtoLink;
+                btn.innerHTML = 'Opening email client&hellip;';
+                btn.classList.add('btn--success');
+                setStatus('If your email app didn\'t open, write to <a href="' + mailtoLink + '">' + CONTACT_EMAIL + '</a>.', '');
+                setTimeout(resetButton, 3000);
+            });
+        });
+    }
+
+    /* ============================================
+       CONVERSATIONAL FORM ENGINE
+       ============================================
+       Renders a chat-style flow from a declarative JSON
+       description (a <script type="application/json"
+       data-convo-flow> block inside the form):
+
+         {
+           "steps": [
+             {
+               "id": "work",                 — unique step id
+               "prompt": "Hey! ...",          — bot bubble text
+               "type": "select",              — select | pills | text | email | textarea
+               "name": "work",                — answer key
+               "label": "Looking for",        — used in the submitted summary
+               "options": ["A", { "value": "B", "label": "Bee" }],
+               "required": true, "minLength": 2, "maxLength": 80,
+               "pattern": "^[0-9]+$", "error": "Custom message",
+               "next": "source" | { "B": "branch", "*": "source" }
+             },
+             {
+               "id": "details",
+               "prompt": "...",
+               "fields": [ { "name": "name", "type": "text", ... } ],
+               "summary": "{name} — {email}",
+               "submit": "Send it →"
+             }
+           ]
+         }
+
+       `next` defaults to the following step; a step with
+       nowhere to go ends the flow. Each answer fires a
+       `convo:answer` event on the form and the last one
+       fires `convo:complete` with every collected answer.
+
+       Answer bubbles are clickable: editing one drops
+       everything after it and replays the flow from that
+       step, with earlier values prefilled. setBusy(true)
+       holds edits and restart while a send is out. With a
+       `storageKey` option, progress is kept in
+       sessionStorage and restore() rebuilds it on reload.
+       Optional .convo-form__progress / .convo-form__restart
+       elements get the step indicator and "start over".
+    */
+
+    function createConvoEngine(form, chat, flow, options) {
+        options = options || {};
+
+        var steps = flow.steps || [];
+        var stepsById = {};
+        steps.forEach(function (step, i) {
+            step.index = i;
+            stepsById[step.id] = step;
+        });
+
+        var stepValues = {};   // step id → values last given for it (kept for prefill after edits)
+        var path = [];         // answered step ids, in order
+        var startedAt = Date.now();
+        var current = null;
+        var currentEl = null;
+        var generation = 0;    // bumped on edit/restart so stale typing timers don't mount steps
+        var locked = false;
+        var busy = false;      // the answers are out being sent — no edits or restarts until they're back
+
+        var progressEl = form.querySelector('.convo-form__progress');
+        var restartBtn = form.querySelector('.convo-form__restart');
+
+        function emit(name, detail) {
+            form.dispatchEvent(new CustomEvent(name, { detail: detail }));
+        }
+
+        /* --- Persistence (sessionStorage) --- */
+
+        function save() {
+            if (!options.storageKey) return;
+            try {
+                sessionStorage.setItem(options.storageKey, JSON.stringify({
+                    path: path,
+                    stepValues: stepValues,
+                    startedAt: startedAt,
+                }));
+            } catch (err) { /* storage full or disabled — progress just won't survive a reload */ }
+        }
+
+        function readSaved() {
+            if (!options.storageKey) return null;
+            try {
+                return JSON.parse(sessionStorage.getItem(options.storageKey));
+            } catch (err) {
+                return null;
+            }
+        }
+
+        function clearSaved() {
+            if (!options.storageKey) return;
+            try { sessionStorage.removeItem(options.storageKey); } catch (err) { /* ignore */ }
+        }
+
+        /* --- Chat rendering --- */
+
+        // Utility: add a chat bubble
+        function addBubble(text, type) {
+            var bubble = document.createElement('div');
+            bubble.className = 'convo-bubble convo-bubble--' + type;
+            bubble.textContent = text;
+            chat.appendChild(bubble);
+            // Scroll the contact bar into nice view
+            bubble.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            return bubble;
+        }
+
+        // User answers are buttons — clicking one re-opens that step
+        function addAnswerBubble(step, text) {
+            var bubble = addBubble(text, 'user');
+            bubble.classList.add('convo-bubble--editable');
+            bubble.dataset.step = step.id;
+            bubble.setAttribute('role', 'button');
+            bubble.setAttribute('tabindex', '0');
+            bubble.setAttribute('aria-label', 'Edit answer: ' + text);
+            bubble.title = 'Edit this answer';
+            return bubble;
+        }
+
+        // Utility: show typing indicator, then resolve
+        function showTyping(delay) {
+            return new Promise(function (resolve) {
+                var typing = document.createElement('div');
+                typing.className = 'convo-typing';
+                typing.innerHTML = '<span class="convo-typing__dot"></span><span class="convo-typing__dot"></span><span class="convo-typing__dot"></span>';
+                chat.appendChild(typing);
+                typing.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+                setTimeout(function () {
+                    // An edit or restart may already have cleared the chat
+                    if (typing.parentNode) typing.parentNode.removeChild(typing);
+                    resolve();
+                }, delay);
+            });
+        }
+
+        /* --- Flow helpers --- */
+
+        function fieldsOf(step) {
+            return step.fields || [step];
+        }
+
+        function optionsOf(field) {
+            return (field.options || []).map(function (opt) {
+                return typeof opt === 'string' ? { value: opt, label: opt } : opt;
+            });
+        }
+
+        function inputId(field) {
+            return 'convo' + field.name.charAt(0).toUpperCase() + field.name.slice(1);
+        }
+
+        // Returns an error message, or '' when the value passes the field's rules
+        function validateField(field, value) {
+            var fallback = field.error;
+            if (!value) return field.required ? (fallback || 'This one\'s needed to keep going.') : '';
+            if (field.type === 'email' && !EMAIL_PATTERN.test(value)) {
+                return fallback || 'That email address doesn\'t look right.';
+            }
+            if (field.minLength && value.length < field.minLength) {
+                return fallback || 'A little more detail, please.';
+            }
+            if (field.maxLength && value.length > field.maxLength) {
+                return 'Please keep this under ' + field.maxLength + ' characters.';
+            }
+            if (field.pattern && !new RegExp(field.pattern).test(value)) {
+                return fallback || 'That doesn\'t look quite right.';
+            }
+            return '';
+        }
+
+        function resolveNext(step, value) {
+            var next = step.next;
+            if (next && typeof next === 'object') next = next[value] || next['*'];
+            if (next) return stepsById[next] || null;
+            return next === undefined ? steps[step.index + 1] || null : null;
+        }
+
+        function summarize(step, values) {
+            if (step.summary) {
+                return step.summary.replace(/\{(\w+)\}/g, function (m, key) { return values[key] || ''; })
+                    .replace(/^[\s—-]+|[\s—-]+$/g, '');
+            }
+            return fieldsOf(step).map(function (f) { return values[f.name]; }).filter(Boolean).join(' — ');
+        }
+
+        /* --- Step rendering --- */
+
+        function renderField(field, saved) {
+            var id = inputId(field);
+            var value = saved[field.name] || '';
+            var attrs = ' class="convo-input' + (field.type === 'textarea' ? ' convo-textarea' : '') +
+                (field.type === 'select' ? ' convo-select' : '') + '" id="' + id + '" name="' + escapeHTML(field.name) + '"' +
+                (field.placeholder ? ' placeholder="' + escapeHTML(field.placeholder) + '"' : '') +
+                (field.autocomplete ? ' autocomplete="' + escapeHTML(field.autocomplete) + '"' : '') +
+                (field.required ? ' required' : '');
+
+            if (field.type === 'select') {
+                return '<select' + attrs + '>' +
+                    '<option value="" disabled' + (value ? '' : ' selected') + '>' + escapeHTML(field.placeholder || 'Choose one...') + '</option>' +
+                    optionsOf(field).map(function (opt) {
+                        return '<option value="' + escapeHTML(opt.value) + '"' + (opt.value === value ? ' selected' : '') + '>' + escapeHTML(opt.label) + '</option>';
+                    }).join('') +
+                    '</select>';
+            }
+            if (field.type === 'textarea') {
+                return '<textarea' + attrs + '>' + escapeHTML(value) + '</textarea>';
+            }
+            return '<input type="' + (field.type === 'email' ? 'email' : 'text') + '"' + attrs + ' value="' + escapeHTML(value) + '">';
+        }
+
+        function renderStep(step) {
+            var saved = stepValues[step.id] || {};
+            var el = document.createElement('div');
+            el.className = 'convo-form__step active';
+            el.dataset.step = step.id;
+
+            if (step.type === 'pills') {
+                el.innerHTML = '<div class="convo-form__pills">' +
+                    optionsOf(step).map(function (opt) {
+                        var chosen = saved[step.name] === opt.value;
+                        return '<button class="convo-pill' + (chosen ? ' convo-pill--selected' : '') + '" data-value="' + escapeHTML(opt.value) + '"' +
+                            ' aria-pressed="' + chosen + '" type="button">' + escapeHTML(opt.label) + '</button>';
+                    }).join('') +
+                    '</div>';
+                return el;
+            }
+
+            var isLast = !resolveNext(step, '') && !(step.next && typeof step.next === 'object');
+            var label = step.submit ? escapeHTML(step.submit) : (isLast ? 'Send it &rarr;' : 'Next &rarr;');
+            el.innerHTML = '<div class="convo-form__fields">' +
+                fieldsOf(step).map(function (field) { return renderField(field, saved); }).join('') +
+                '<button class="convo-send' + (isLast ? '' : ' convo-send--next') + '" type="button">' + label + '</button>' +
+                '</div>';
+            return el;
+        }
+
+        function collect(step) {
+            var values = {};
+            var errors = {};
+            fieldsOf(step).forEach(function (field) {
+                var input = currentEl.querySelector('#' + inputId(field));
+                var value = input ? input.value.trim() : '';
+                var error = validateField(field, value);
+                values[field.name] = value;
+                if (error) errors[field.name] = error;
+            });
+            return { values: values, errors: errors };
+        }
+
+        function showErrors(errors) {
+            var first = null;
+            Object.keys(errors).forEach(function (name) {
+                var input = currentEl && currentEl.querySelector('#' + inputId({ name: name }));
+                if (!input) return;
+                showFieldError(input, errors[name]);
+                if (!first) first = input;
+            });
+            if (first) first.focus();
+        }
+
+        // "Step 2 of 4" — the total follows the branches already chosen;
+        // unanswered branches count along their default route
+        function updateProgress() {
+            if (!progressEl) return;
+            var total = 0;
+            var seen = {};
+            var step = steps[0];
+            while (step && !seen[step.id]) {
+                seen[step.id] = true;
+                total++;
+                var values = path.indexOf(step.id) !== -1 ? stepValues[step.id] : {};
+                step = resolveNext(step, values[step.name]);
+            }
+            var position = Math.min(path.length + 1, total);
+            progressEl.textContent = 'Step ' + position + ' of ' + total;
+            progressEl.style.setProperty('--progress', total ? position / total : 0);
+        }
+
+        function submitStep(step, values) {
+            stepValues[step.id] = values;
+            path.push(step.id);
+            unmount();
+            addAnswerBubble(step, summarize(step, values));
+            save();
+            updateProgress();
+            emit('convo:answer', { step: step.id, values: values, answers: getAnswers() });
+
+            var next = resolveNext(step, values[step.name]);
+            if (next) {
+                ask(next, next.delay || 500);
+            } else {
+                emit('convo:complete', { answers: getAnswers() });
+            }
+        }
+
+        function mount(step) {
+            current = step;
+            currentEl = renderStep(step);
+            form.insertBefore(currentEl, chat.nextSibling);
+            updateProgress();
+
+            if (step.type === 'pills') {
+                currentEl.querySelectorAll('.convo-pill').forEach(function (pill) {
+                    pill.addEventListener('click', function () {
+                        var values = {};
+                        values[step.name] = pill.dataset.value;
+                        submitStep(step, values);
+                    });
+                });
+                return;
+            }
+
+            var sendBtn = currentEl.querySelector('.convo-send');
+            sendBtn.addEventListener('click', function () {
+                var result = collect(step);
+                if (Object.keys(result.errors).length) {
+                    showErrors(result.errors);
+                    return;
+                }
+                submitStep(step, result.values);
+            });
+
+            // Enter advances; Shift+Enter still adds a newline in textareas
+            currentEl.querySelectorAll('input, textarea').forEach(function (input) {
+                input.addEventListener('keydown', function (e) {
+                    if (e.key === 'Enter' && !e.shiftKey) {
+                        e.preventDefault();
+                        sendBtn.click();
+                    }
+                });
+            });
+
+            // Auto-focus the first field
+            var firstField = currentEl.querySelector('input, textarea, select');
+            if (firstField) setTimeout(function () { firstField.focus(); }, 100);
+        }
+
+        function unmount() {
+            if (currentEl && currentEl.parentNode) currentEl.parentNode.removeChild(currentEl);
+            current = null;
+            currentEl = null;
+        }
+
+        function ask(step, delay) {
+            var run = ++generation;
+            return showTyping(delay).then(function () {
+                if (run !== generation) return;
+                addBubble(step.prompt, 'bot');
+                mount(step);
+            });
+        }
+
+        function getAnswers() {
+            var answers = {};
+            path.forEach(function (id) {
+                var values = stepValues[id] || {};
+                Object.keys(values).forEach(function (key) { answers[key] = values[key]; });
+            });
+            return answers;
+        }
+
+        /* --- Edit, restart & restore --- */
+
+        // Re-open an answered step: drop its answer bubble and everything
+        // after it, then replay the flow from there with old values prefilled
+        function edit(stepId) {
+            var at = path.indexOf(stepId);
+            if (at === -1 || locked || busy) return;
+
+            generation++;
+            path.splice(at);
+
+            var bubble = chat.querySelector('.convo-bubble--user[data-step="' + stepId + '"]');
+            while (bubble && bubble.nextSibling) chat.removeChild(bubble.nextSibling);
+            if (bubble) chat.removeChild(bubble);
+
+            unmount();
+            mount(stepsById[stepId]);
+            save();
+            emit('convo:edit', { step: stepId, answers: getAnswers() });
+        }
+
+        function restart() {
+            if (busy) return;
+            generation++;
+            path = [];
+            stepValues = {};
+            locked = false;
+            startedAt = Date.now();
+            unmount();
+            chat.innerHTML = '';
+            form.querySelectorAll('.convo-success').forEach(function (el) { el.parentNode.removeChild(el); });
+            form.classList.remove('convo-form--finished');
+            clearSaved();
+            updateProgress();
+            emit('convo:restart', {});
+            if (steps.length) ask(steps[0], 600);
+        }
+
+        // Rebuild the transcript from sessionStorage without typing delays.
+        // Stops at the first saved step the current flow no longer leads to.
+        function restore() {
+            var saved = readSaved();
+            if (!saved || !saved.path || !saved.path.length) return false;
+
+            stepValues = saved.stepValues || {};
+            startedAt = saved.startedAt || Date.now();
+
+            var expected = steps[0];
+            saved.path.some(function (id) {
+                var step = stepsById[id];
+                if (!step || !expected || step.id !== expected.id) return true;
+                var values = stepValues[id] || {};
+                addBubble(step.prompt, 'bot');
+                addAnswerBubble(step, summarize(step, values));
+                path.push(id);
+                expected = resolveNext(step, values[step.name]);
+                return false;
+            });
+
+            // Finished but never sent (reload mid-send) — let them send again
+            if (!expected && path.length) {
+                expected = stepsById[path[path.length - 1]];
+                path.pop();
+                var last = chat.querySelector('.convo-bubble--user[data-step="' + expected.id + '"]');
+                if (last) chat.removeChild(last);
+            }
+
+            if (expected) {
+                addBubble(expected.prompt, 'bot');
+                mount(expected);
+            }
+            save();
+            return true;
+        }
+
+        chat.addEventListener('click', function (e) {
+            var bubble = e.target.closest('.convo-bubble--editable');
+            if (bubble) edit(bubble.dataset.step);
+        });
+
+        chat.addEventListener('keydown', function (e) {
+            if (e.key !== 'Enter' && e.key !== ' ') return;
+            var bubble = e.target.closest('.convo-bubble--editable');
+            if (!bubble) return;
+            e.preventDefault();
+            edit(bubble.dataset.step);
+        });
+
+        if (restartBtn) restartBtn.addEventListener('click', restart);
+
+        return {
+            addBubble: addBubble,
+            showTyping: showTyping,
+            getAnswers: getAnswers,
+            restore: restore,
+            restart: restart,
+            edit: edit,
+
+            // When the visitor first opened this conversation (survives restore)
+            startedAt: function () {
+                return startedAt;
+            },
+
+            // Label for an answer key, as declared in the flow
+            labelFor: function (name) {
+                var label = name;
+                steps.forEach(function (step) {
+                    fieldsOf(step).forEach(function (field) {
+                        if (field.name === name && field.label) label = field.label;
+                    });
+                });
+                return label;
+            },
+
+            start: function () {
+                startedAt = Date.now();
+                if (steps.length) ask(steps[0], 600);
+            },
+
+            // Re-open an answered step (e.g. after the server rejects it)
+            // with its previous values filled in and errors shown inline
+            reopen: function (stepId, errors) {
+                edit(stepId);
+                if (errors) showErrors(errors);
+            },
+
+            // Hold the transcript still while the answers are in flight,
+            // so the reply always lands on the conversation that was sent
+            setBusy: function (value) {
+                busy = value;
+                form.classList.toggle('convo-form--sending', value);
+                chat.setAttribute('aria-busy', String(value));
+                if (restartBtn) restartBtn.disabled = value;
+            },
+
+            // Replace the live step with a closing message. `clear` drops the
+            // saved progress (the inquiry went out); otherwise it survives a reload.
+            finish: function (html, clear) {
+                locked = true;
+                unmount();
+                form.classList.add('convo-form--finished');
+                if (clear) clearSaved();
+                var outcome = document.createElement('div');
+                outcome.innerHTML = '<div class="convo-success">' + html + '</div>';
+                form.appendChild(outcome.firstChild);
+            },
+
+            lastStepId: function () {
+                return path[path.length - 1];
+            },
+        };
+    }
+
+    /* ============================================
+       INLINE CONVERSATIONAL FORM (Homepage)
+       ============================================
+       Drives the contact bar's chat form with the flow
+       declared in index.html. When the flow completes
+       the answers go through submitInquiry() — falling
+       back to a pre-filled mailto when the API is
+       unreachable.
+
+       Answers named like API fields (name, email, work,
+       source) are sent as-is, `note` becomes `message`,
+       and anything else (branch questions) is appended
+       to the message as "Label: value" so new questions
+       reach the inbox without a Worker change.
+    */
+
+    var CONVO_API_FIELDS = ['name', 'email', 'work', 'source'];
+
+    function initConvoForm() {
+        var startBtn = document.getElementById('startConvoBtn');
+        var convoForm = document.getElementById('convoForm');
+        var convoChat = document.getElementById('convoChat');
+        var flowEl = convoForm ? convoForm.querySelector('script[data-convo-flow]') : null;
+
+        if (!startBtn || !convoForm || !convoChat || !flowEl) return;
+
+        var flow;
+        try {
+            flow = JSON.parse(flowEl.textContent);
+        } catch (err) {
+            return;
+        }
+
+        var engine = createConvoEngine(convoForm, convoChat, flow, { storageKey: 'convo:progress' });
+
+        // Pick up a half-finished conversation from before a reload
+        var started = engine.restore();
+        if (started) {
+            convoForm.classList.add('active');
+            startBtn.classList.add('contact-bar__link--active');
+        }
+
+        // Step 0: Open the form
+        startBtn.addEventListener('click', function () {
+            convoForm.classList.add('active');
+            startBtn.classList.add('contact-bar__link--active');
+            if (started) return;
+            started = true;
+            engine.start();
+            trackEvent('funnel', { step: 'start' });
+        });
+
+        // Funnel steps count once per page view, however often answers are edited
+        var trackedSteps = [];
+        convoForm.addEventListener('convo:answer', function (e) {
+            if (trackedSteps.indexOf(e.detail.step) !== -1) return;
+            trackedSteps.push(e.detail.step);
+            trackEvent('funnel', { step: e.detail.step });
+        });
+
+        // Clear inline errors as the visitor edits
+        convoForm.addEventListener('input', function (e) {
+            clearFieldError(e.target);
+        });
+        convoForm.addEventListener('change', function (e) {
+            clearFieldError(e.target);
+        });
+
+        var sending = false;
+
+        convoForm.addEventListener('convo:complete', function (e) {
+            if (sending) return;
+            var answers = e.detail.answers;
+            var stepId = engine.lastStepId();
+
+            // Map answers onto the API's fields
+            var extras = Object.keys(answers).filter(function (key) {
+                return key !== 'note' && CONVO_API_FIELDS.indexOf(key) === -1 && answers[key];
+            }).map(function (key) {
+                return engine.labelFor(key) + ': ' + answers[key];
+            });
+            var fields = {
+                name: answers.name || '',
+                email: answers.email || '',
+                work: answers.work || '',
+                source: answers.source || '',
+                message: [answers.note || ''].concat(extras).filter(Boolean).join('\n'),
+            };
+
+            // Validation — same rules the Worker applies
+            var errors = checkInquiry({ name: fields.name, email: fields.email, message: answers.note || '' });
+            if (errors.message) {
+                errors.note = errors.message;
+                delete errors.message;
+            }
+            // Branch answers share the message with the note, so the note
+            // only gets what's left of the Worker's limit
+            var room = INQUIRY_GUARD.maxMessage - (fields.message.length - (answers.note || '').length);
+            if (!errors.note && fields.message.length > INQUIRY_GUARD.maxMessage) {
+                errors.note = 'Please keep this under ' + Math.max(0, room) + ' characters.';
+            }
+            if (Object.keys(errors).length) {
+                engine.reopen(stepId, errors);
+                return;
+            }
+            if (isTooFast(engine.startedAt())) {
+                engine.reopen(stepId, { note: 'That was quick! Give it a few seconds and try again.' });
+                return;
+            }
+
+            // Compose mailto (fallback when the API can't be reached)
+            var mailtoLines = [
+                'Hi Azlan,',
+                '',
+                'Name: ' + fields.name,
+                'Email: ' + fields.email,
+                'Looking for: ' + fields.work,
+                'Found you via: ' + fields.source
+            ].concat(extras);
+            mailtoLines.push(answers.note ? 'Note: ' + answers.note + '\n' : '');
+            mailtoLines.push('Sent from your portfolio site.');
+            var mailtoLink = buildMailto('New inquiry from ' + fields.name + ' — ' + fields.work, mailtoLines);
+
+            sending = true;
+            engine.setBusy(true);
+
+            Promise.all([
+                submitInquiry(guardPayload(fields, convoForm, engine.startedAt())),
+                engine.showTyping(400)
+            ]).then(function (results) {
+                var result = results[0];
+                sending = false;
+                engine.setBusy(false);
+
+                if (result.status === 'sent') {
+                    trackEvent('funnel', { step: 'sent' });
+                    engine.finish(
+                        '<span class="convo-success__icon">&#10003;</span>' +
+                        '<p class="convo-success__text">Got it, ' + escapeHTML(fields.name.split(' ')[0]) + '. I\'ll be in touch soon.</p>',
+                        true
+                    );
+                    return;
+                }
+
+                if (result.status === 'queued') {
+                    engine.finish(
+                        '<span class="convo-success__icon">&#10003;</span>' +
+                        '<p class="convo-success__text">Got it, ' + escapeHTML(fields.name.split(' ')[0]) + '. You\'re offline right now, so this will send as soon as you\'re back.</p>',
+                        true
+                    );
+                    return;
+                }
+
+                if (result.status === 'invalid') {
+                    var serverErrors = {};
+                    Object.keys(result.fields).forEach(function (key) {
+                        serverErrors[key === 'message' ? 'note' : key] = result.fields[key];
+                    });
+                    engine.reopen(stepId, serverErrors);
+                    engine.addBubble(result.message, 'bot');
+                    return;
+                }
+
+                // Guard rejections the visitor can fix — back to the last step with the reason
+                if (result.error === 'too_fast' || result.error === 'rejected') {
+                    engine.reopen(stepId, { note: result.message });
+                    engine.addBubble(result.message, 'bot');
+                    return;
+                }
+
+                if (result.status === 'error') {
+                    engine.finish(
+                        '<span class="convo-success__icon">&#9888;</span>' +
+                        '<p class="convo-success__text">' + escapeHTML(result.message || 'That didn\'t go through on my end.') + '<br><a href="' + mailtoLink + '" style="color: var(--accent); text-decoration: underline;">Send it by email instead</a>.</p>'
+                    );
+                    return;
+                }
+
+                // Unreachable — hand off to the visitor's email client
+                engine.finish(
+                    '<span class="convo-success__icon">&#10003;</span>' +
+                    '<p class="convo-success__text">Opening your email client now.<br>If it doesn\'t open, <a href="' + mailtoLink + '" style="color: var(--accent); text-decoration: underline;">click here</a>.</p>',
+                    true
+                );
+                window.location.href = mailtoLink;
+            });
+        });
+    }
+
+    /* ============================================
+       SITE SEARCH
+       ============================================
+       Full-text search over blog posts, case studies and
+       AI Lab projects, entirely in the browser. The index is
+       prebuilt by scripts/build-search-index.js into
+       search-index.json and fetched the first time the
+       overlay opens.
+
+       Opens from the nav button, "/" or Cmd/Ctrl+K. Every
+       query term must match (the last one as a prefix, so
+       results appear while typing); hits are weighted by
+       field — title, then tags, then dek, then body/code.
+       ↑/↓ move through results, Enter opens, Esc closes.
+    */
+
+    var SEARCH_FIELDS = [
+        { key: 'title', weight: 10 },
+        { key: 'tags', weight: 6 },
+        { key: 'dek', weight: 4 },
+        { key: 'body', weight: 1 },
+        { key: 'code', weight: 1 },
+    ];
+    var SEARCH_MAX_RESULTS = 12;
+    var SEARCH_SNIPPET_RADIUS = 70;
+
+    function searchTerms(query) {
+        return query.toLowerCase().split(/\s+/).map(function (term) {
+            return term.replace(/^[^\w#@.]+|[^\w#+]+$/g, '');
+        }).filter(Boolean);
     }
 
-    /* ============================================
-       GALLERY FILTER
-       ============================================ */
+    function escapeRegExp(str) {
+        return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
 
-    function initGalleryFilter() {
-        var filterButtons = document.querySelectorAll('.gallery-filter__btn');
-        var galleryItems = document.querySelectorAll('.masonry-grid__item');
-        if (!filterButtons.length || !galleryItems.length) return;
+    // Whole-word hits count double; the last term may be a bare prefix
+    function termPattern(term, isPrefix) {
+        return new RegExp('(^|[^a-z0-9])' + escapeRegExp(term) + (isPrefix ? '' : '(?![a-z0-9])'), 'g');
+    }
 
-        filterButtons.forEach(function (btn) {
-            btn.addEventListener('click', function () {
-                filterButtons.forEach(function (b) { b.classList.remove('active'); });
-                btn.classList.add('active');
+    function scoreDoc(doc, terms) {
+        var total = 0;
 
-                var filter = btn.dataset.filter;
+        for (var i = 0; i < terms.length; i++) {
+            var term = terms[i];
+            var wordPattern = termPattern(term, i === terms.length - 1);
+            var termScore = 0;
 
-                galleryItems.forEach(function (item) {
-                    if (filter === 'all' || item.dataset.category === filter) {
-                        item.style.display = '';
-                    } else {
-                        item.style.display = 'none';
-                    }
-                });
+            SEARCH_FIELDS.forEach(function (field) {
+                var haystack = doc.lower[field.key];
+                if (haystack.indexOf(term) === -1) return;
+                var words = (haystack.match(wordPattern) || []).length;
+                termScore += field.weight * (1 + Math.min(words, 5));
             });
-        });
+
+            // AND semantics: one missing term rules the document out
+            if (!termScore) return 0;
+            total += termScore;
+        }
+
+        if (terms.length > 1 && doc.lower.title.indexOf(terms.join(' ')) !== -1) total += 20;
+        return total;
     }
 
-    /* ============================================
-       CONTACT FORM
-       ============================================ */
+    // Split on the raw text first so entities never get marked up
+    function highlightTerms(str, terms) {
+        if (!terms.length) return escapeHTML(str);
+        var pattern = new RegExp('(' + terms.map(escapeRegExp).join('|') + ')', 'gi');
+        return str.split(pattern).map(function (part, i) {
+            return i % 2 ? '<mark>' + escapeHTML(part) + '</mark>' : escapeHTML(part);
+        }).join('');
+    }
 
-    function initContactForm() {
-        var contactForm = document.getElementById('contactForm');
-        if (!contactForm) return;
+    // A window of text around the first hit, preferring prose over code
+    function searchSnippet(doc, terms) {
+        var fields = ['dek', 'body', 'code'];
+        for (var i = 0; i < fields.length; i++) {
+            var lower = doc.lower[fields[i]];
+            var at = -1;
+            for (var t = 0; t < terms.length && at === -1; t++) at = lower.indexOf(terms[t]);
+            if (at === -1) continue;
 
-        contactForm.addEventListener('submit', function (e) {
-            e.preventDefault();
-            var btn = contactForm.querySelector('.btn');
+            var source = doc[fields[i]];
+            var start = Math.max(0, at - SEARCH_SNIPPET_RADIUS);
+            var end = Math.min(source.length, at + SEARCH_SNIPPET_RADIUS * 2);
+            var text = source.slice(start, end);
+            // Don't open or close on half a word
+            if (start > 0) text = text.replace(/^\S*\s/, '');
+            if (end < source.length) text = text.replace(/\s\S*$/, '');
+            text = text.replace(/\s+/g, ' ').trim();
+            return (start > 0 ? '… ' : '') + text + (end < source.length ? ' …' : '');
+        }
+        return doc.dek;
+    }
 
-            // Gather form values
-            var name = (contactForm.querySelector('#name') || {}).value || '';
-            var email = (contactForm.querySelector('#email') || {}).value || '';
-            var company = (contactForm.querySelector('#company') || {}).value || '';
-            var projectType = (contactForm.querySelector('#projectType') || {}).value || '';
-            var budget = (contactForm.querySelector('#budget') || {}).value || '';
-            var timeline = (contactForm.querySelector('#timeline') || {}).value || '';
-            var message = (contactForm.querySelector('#message') || {}).value || '';
-
-            // Build mailto
-            var subject = encodeURIComponent('New project inquiry from ' + name + ' — ' + projectType);
-            var bodyParts = [
-                'Hi Azlan,',
-                '',
-                'Name: ' + name,
-                'Email: ' + email
-            ];
-            if (company) bodyParts.push('Company: ' + company);
-            if (projectType) bodyParts.push('Project Type: ' + projectType);
-            if (budget) bodyParts.push('Budget: ' + budget);
-            if (timeline) bodyParts.push('Timeline: ' + timeline);
-            bodyParts.push('');
-            if (message) bodyParts.push('Message:\n' + message);
-            bodyParts.push('');
-            bodyParts.push('Sent from your portfolio site.');
+    function initSearch() {
+        var navInner = document.querySelector('.nav__inner');
+        if (!navInner || !window.fetch) return;
 
-            var body = encodeURIComponent(bodyParts.join('\n'));
-            var mailtoLink = 'mailto:azlanallahwala@gmail.com?subject=' + subject + '&body=' + body;
+        var docs = null;
+        var loading = null;
+        var results = [];
+        var activeIndex = -1;
+        var returnFocus = null;
 
-            // Open email client
-            window.location.href = mailtoLink;
+        /* --- Nav button --- */
 
-            // Show success state
-            btn.innerHTML = 'Opening email client&hellip;';
-            btn.style.background = '#44BB77';
-            setTimeout(function () {
-                btn.innerHTML = 'Send Message <span class="arrow">&rarr;</span>';
-                btn.style.background = '';
-            }, 3000);
+        var openBtn = document.createElement('button');
+        openBtn.type = 'button';
+        openBtn.className = 'nav__search';
+        openBtn.setAttribute('aria-label', 'Search the site');
+        openBtn.setAttribute('aria-haspopup', 'dialog');
+        openBtn.setAttribute('aria-keyshortcuts', '/ Control+K Meta+K');
+        openBtn.innerHTML =
+            '<svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="1.75" stroke-linecap="round" aria-hidden="true"><circle cx="11" cy="11" r="7"/><path d="M20 20l-3.5-3.5"/></svg>' +
+            '<kbd class="nav__search-key" aria-hidden="true">/</kbd>';
+        navInner.insertBefore(openBtn, document.getElementById('navToggle'));
+
+        /* --- Overlay --- */
+
+        var overlay = document.createElement('div');
+        overlay.className = 'search';
+        overlay.hidden = true;
+        overlay.setAttribute('role', 'dialog');
+        overlay.setAttribute('aria-modal', 'true');
+        overlay.setAttribute('aria-label', 'Search');
+        overlay.innerHTML =
+            '<div class="search__panel">' +
+                '<div class="search__field">' +
+                    '<svg class="search__icon" viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" stroke-width="1.75" stroke-linecap="round" aria-hidden="true"><circle cx="11" cy="11" r="7"/><path d="M20 20l-3.5-3.5"/></svg>' +
+                    '<input class="search__input" type="search" placeholder="Search posts, case studies, code…" ' +
+                        'role="combobox" aria-expanded="false" aria-controls="searchResults" aria-autocomplete="list" ' +
+                        'aria-label="Search posts, case studies and code" autocomplete="off" spellcheck="false">' +
+                    '<button type="button" class="search__close" aria-label="Close search"><kbd>Esc</kbd></button>' +
+                '</div>' +
+                '<ul class="search__results" id="searchResults" role="listbox" aria-label="Results"></ul>' +
+                '<p class="search__status" role="status" aria-live="polite"></p>' +
+            '</div>';
+        document.body.appendChild(overlay);
+
+        var panel = overlay.querySelector('.search__panel');
+        var input = overlay.querySelector('.search__input');
+        var list = overlay.querySelector('.search__results');
+        var status = overlay.querySelector('.search__status');
+        var closeBtn = overlay.querySelector('.search__close');
+
+        function loadIndex() {
+            if (loading) return loading;
+            status.textContent = 'Loading search…';
+            loading = fetch(SITE_ROOT + 'search-index.json')
+                .then(function (res) {
+                    if (!res.ok) throw new Error('HTTP ' + res.status);
+                    return res.json();
+                })
+                .then(function (data) {
+                    docs = (data.docs || []).map(function (doc) {
+                        doc.lower = {};
+                        SEARCH_FIELDS.forEach(function (field) {
+                            var value = field.key === 'tags' ? doc.tags.join(' ') : doc[field.key] || '';
+                            doc.lower[field.key] = value.toLowerCase();
+                        });
+                        return doc;
+                    });
+                    runQuery();
+                }, function () {
+                    // Let the next open try again
+                    loading = null;
+                    status.textContent = 'Search couldn’t load. Check your connection and try again.';
+                });
+            return loading;
+        }
+
+        /* --- Querying & rendering --- */
+
+        function runQuery() {
+            if (!docs) return;
+            var terms = searchTerms(input.value);
+
+            results = [];
+            if (terms.length) {
+                docs.forEach(function (doc) {
+                    var score = scoreDoc(doc, terms);
+                    if (score) results.push({ doc: doc, score: score });
+                });
+                results.sort(function (a, b) { return b.score - a.score; });
+                results = results.slice(0, SEARCH_MAX_RESULTS);
+            }
+
+            list.innerHTML = results.map(function (result, i) {
+                var doc = result.doc;
+                return '<li class="search__result" role="option" id="searchResult' + i + '" aria-selected="false">' +
+                    '<a class="search__link" href="' + escapeHTML(SITE_ROOT + doc.url) + '" tabindex="-1">' +
+                        '<span class="search__type">' + escapeHTML(doc.type) + '</span>' +
+                        '<span class="search__title">' + highlightTerms(doc.title, terms) + '</span>' +
+                        '<span class="search__snippet">' + highlightTerms(searchSnippet(doc, terms), terms) + '</span>' +
+                    '</a>' +
+                '</li>';
+            }).join('');
+
+            input.setAttribute('aria-expanded', results.length ? 'true' : 'false');
+            setActive(results.length ? 0 : -1);
+
+            if (!terms.length) {
+                status.textContent = '';
+            } else if (!results.length) {
+                status.textContent = 'No results for “' + input.value.trim() + '”.';
+            } else {
+                status.textContent = results.length + (results.length === 1 ? ' result' : ' results');
+            }
+        }
+
+        function setActive(index) {
+            var options = list.querySelectorAll('.search__result');
+            if (activeIndex > -1 && options[activeIndex]) {
+                options[activeIndex].setAttribute('aria-selected', 'false');
+            }
+            activeIndex = index;
+            if (index > -1 && options[index]) {
+                options[index].setAttribute('aria-selected', 'true');
+                options[index].scrollIntoView({ block: 'nearest' });
+                input.setAttribute('aria-activedescendant', options[index].id);
+            } else {
+                input.removeAttribute('aria-activedescendant');
+            }
+        }
+
+        /* --- Open / close --- */
+
+        function openSearch() {
+            if (!overlay.hidden) return;
+            returnFocus = document.activeElement;
+            overlay.hidden = false;
+            document.body.classList.add('search-open');
+            input.focus();
+            input.select();
+            if (!docs) loadIndex();
+        }
+
+        function closeSearch() {
+            if (overlay.hidden) return;
+            overlay.hidden = true;
+            document.body.classList.remove('search-open');
+            input.blur();
+            if (returnFocus && returnFocus.focus) returnFocus.focus();
+            returnFocus = null;
+        }
+
+        openBtn.addEventListener('click', openSearch);
+        closeBtn.addEventListener('click', closeSearch);
+        input.addEventListener('input', runQuery);
+
+        // A result opened through PAGE TRANSITIONS leaves the overlay behind otherwise
+        document.addEventListener('page:unload', closeSearch);
+
+        // Click on the backdrop (outside the panel) closes
+        overlay.addEventListener('click', function (e) {
+            if (!panel.contains(e.target)) closeSearch();
+        });
+
+        list.addEventListener('mousemove', function (e) {
+            var option = e.target.closest('.search__result');
+            if (!option) return;
+            var index = Array.prototype.indexOf.call(list.children, option);
+            if (index !== activeIndex) setActive(index);
+        });
+
+        input.addEventListener('keydown', function (e) {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (!results.length) return;
+                var step = e.key === 'ArrowDown' ? 1 : -1;
+                setActive((activeIndex + step + results.length) % results.length);
+            } else if (e.key === 'Enter') {
+                var link = activeIndex > -1 && list.querySelectorAll('.search__link')[activeIndex];
+                if (!link) return;
+                e.preventDefault();
+                link.click();   // a real click, so PAGE TRANSITIONS can take it
+            }
+        });
+
+        document.addEventListener('keydown', function (e) {
+            if (!overlay.hidden) {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    closeSearch();
+                } else if (e.key === 'Tab') {
+                    // Only the input and close button are tabbable; keep focus inside
+                    e.preventDefault();
+                    (document.activeElement === input ? closeBtn : input).focus();
+                } else if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'k') {
+                    e.preventDefault();
+                    closeSearch();
+                }
+                return;
+            }
+
+            if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                openSearch();
+                return;
+            }
+
+            // "/" opens unless the visitor is typing somewhere
+            var target = e.target;
+            var typing = target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName);
+            if (e.key === '/' && !typing && !e.metaKey && !e.ctrlKey && !e.altKey) {
+                e.preventDefault();
+                openSearch();
+            }
         });
     }
 
     /* ============================================
-       INLINE CONVERSATIONAL FORM (Homepage)
+       PAGE TRANSITIONS — CLIENT-SIDE NAVIGATION
        ============================================
-       A slick 3-step chat-style micro-form in the
-       contact bar. Asks a few quick questions, then
-       opens a pre-filled mailto to Azlan.
+       Same-origin page links load without a full reload.
+       The next page is fetched — ahead of time on hover,
+       focus or touch, and for nav/card links once they
+       scroll into view — then its <main> replaces ours
+       inside a View Transition (a short CSS cross-fade
+       where that API is missing). Title, meta tags, page
+       <style> blocks and body data-* attributes follow.
+
+       Chrome outside <main> (nav, mobile nav, footer) stays
+       put. Its links are pinned to absolute URLs once, so
+       they still resolve after moving in or out of /blog/.
+       Page modules re-run through initPage(); their window/
+       document listeners die with the old pageSignal().
+
+       Events on document:
+         page:unload  — just before the swap (close overlays)
+         page:load    — after it ({ url, root: the new <main> })
+
+       Modified clicks, target/download links, anything under
+       [data-no-transition], non-HTML responses and pages
+       without <main> fall back to a normal page load.
     */
 
-    function initConvoForm() {
-        var startBtn = document.getElementById('startConvoBtn');
-        var convoForm = document.getElementById('convoForm');
-        var convoChat = document.getElementById('convoChat');
-        var step1 = document.getElementById('convoStep1');
-        var step2 = document.getElementById('convoStep2');
-        var step3 = document.getElementById('convoStep3');
-        var sendBtn = document.getElementById('convoSend');
+    var PREFETCH_VISIBLE_SELECTOR = '.nav__link, a.article-card, .post-nav a';
+    var PREFETCH_HOVER_DELAY = 65;
+    var PAGE_CACHE_LIMIT = 12;
+    var PAGE_FADE_MS = 180;
+    var SCROLL_SAVE_DELAY = 150;
 
-        if (!startBtn || !convoForm) return;
+    var pageCache = {};         // pageKey → Promise of the page's HTML
+    var pageCacheOrder = [];
+    var navigationToken = 0;
 
-        var answers = { work: '', source: '', name: '', email: '', note: '' };
+    /**
+     * One key per page: origin + path, without .html, index or
+     * query, so /blog/, /blog/index.html and /blog/index match.
+     */
+    function pageKey(href) {
+        var url = new URL(href, window.location.href);
+        return url.origin + url.pathname.replace(/\.html$/, '').replace(/\/index$/, '/');
+    }
 
-        // Utility: add a chat bubble
-        function addBubble(text, type) {
-            var bubble = document.createElement('div');
-            bubble.className = 'convo-bubble convo-bubble--' + type;
-            bubble.textContent = text;
-            convoChat.appendChild(bubble);
-            // Scroll the contact bar into nice view
-            bubble.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    /**
+     * The URL to take over for a clicked or hovered link,
+     * or null when the browser should handle it.
+     */
+    function transitionTarget(link) {
+        if (!link || !link.href || link.hasAttribute('download')) return null;
+        if (link.target && link.target !== '_self') return null;
+        if (link.closest('[data-no-transition]')) return null;
+
+        var url = new URL(link.href, window.location.href);
+        if (url.origin !== window.location.origin) return null;
+        if (!/(^|\/)[^./]*(\.html)?$/.test(url.pathname)) return null;   // files, not pages
+        if (pageKey(url.href) === pageKey(window.location.href)) return null;   // same page, #hash jumps
+
+        return url;
+    }
+
+    function savesData() {
+        var connection = navigator.connection;
+        return !!connection && (connection.saveData || /2g/.test(connection.effectiveType || ''));
+    }
+
+    function fetchPage(href) {
+        var key = pageKey(href);
+        if (pageCache[key]) return pageCache[key];
+
+        var request = fetch(href, { credentials: 'same-origin' }).then(function (response) {
+            var type = response.headers.get('Content-Type') || '';
+            if (!response.ok || type.indexOf('text/html') === -1) throw new Error('Not a page: ' + href);
+            return response.text();
+        });
+        // Failed fetches aren't remembered, so the next try goes to the network
+        request.catch(function () {
+            if (pageCache[key] === request) delete pageCache[key];
+        });
+
+        pageCache[key] = request;
+        pageCacheOrder = pageCacheOrder.filter(function (item) { return item !== key; });
+        pageCacheOrder.push(key);
+        if (pageCacheOrder.length > PAGE_CACHE_LIMIT) delete pageCache[pageCacheOrder.shift()];
+
+        return request;
+    }
+
+    function prefetchLink(link) {
+        var url = transitionTarget(link);
+        if (!url || savesData()) return;
+        fetchPage(url.href).catch(function () { /* the click will fall back */ });
+    }
+
+    /* --- Swapping pages --- */
+
+    function syncHead(doc) {
+        document.title = doc.title;
+        if (doc.documentElement.lang) document.documentElement.lang = doc.documentElement.lang;
+
+        // Per-page head content is replaced wholesale; theme-color
+        // belongs to THEME, which set it for the current theme
+        var perPage = 'meta[name]:not([name="viewport"]):not([name="theme-color"]), meta[property], link[rel="canonical"], link[rel="alternate"], ' +
+            'script[type="application/ld+json"], style';
+        document.head.querySelectorAll(perPage).forEach(function (el) { el.remove(); });
+        doc.head.querySelectorAll(perPage).forEach(function (el) {
+            document.head.appendChild(document.importNode(el, true));
+        });
+
+        // Stylesheets are shared; only add ones this page hasn't loaded
+        var loaded = Array.prototype.map.call(document.querySelectorAll('link[rel="stylesheet"]'), function (link) {
+            return link.href;
+        });
+        doc.head.querySelectorAll('link[rel="stylesheet"]').forEach(function (link) {
+            var href = new URL(link.getAttribute('href'), window.location.href).href;
+            if (loaded.indexOf(href) === -1) document.head.appendChild(document.importNode(link, true));
+        });
+    }
+
+    function syncBodyData(nextBody) {
+        Array.prototype.slice.call(document.body.attributes).forEach(function (attr) {
+            if (attr.name.indexOf('data-') === 0) document.body.removeAttribute(attr.name);
+        });
+        Array.prototype.forEach.call(nextBody.attributes, function (attr) {
+            if (attr.name.indexOf('data-') === 0) document.body.setAttribute(attr.name, attr.value);
+        });
+    }
+
+    function rememberScroll() {
+        history.replaceState(Object.assign({}, history.state, { scrollY: window.scrollY }), '');
+    }
+
+    /**
+     * restoreY is the scroll position saved with the history entry
+     * for back/forward, or null for a new navigation.
+     */
+    function swapPage(doc, url, restoreY) {
+        var fromHistory = restoreY !== null;
+        document.dispatchEvent(new CustomEvent('page:unload'));
+
+        if (pageLifetime) {
+            pageLifetime.abort();
+            pageLifetime = new AbortController();
         }
 
-        // Utility: show typing indicator, then resolve
-        function showTyping(delay) {
-            return new Promise(function (resolve) {
-                var typing = document.createElement('div');
-                typing.className = 'convo-typing';
-                typing.innerHTML = '<span class="convo-typing__dot"></span><span class="convo-typing__dot"></span><span class="convo-typing__dot"></span>';
-                convoChat.appendChild(typing);
-                typing.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        // Push before importing so relative URLs in the new <main> resolve from its path
+        if (!fromHistory) {
+            rememberScroll();
+            history.pushState({ scrollY: 0 }, '', url.href);
+        }
+
+        syncHead(doc);
+        syncBodyData(doc.body);
+
+        var main = document.querySelector('main');
+        var next = document.importNode(doc.querySelector('main'), true);
+        next.setAttribute('tabindex', '-1');
+        main.parentNode.replaceChild(next, main);
+
+        splitHeroTitle();
+        window.Motion.refresh(next);
+        initPage();
+
+        // Back/forward returns to where the visitor was; new pages start
+        // at their #hash target or the top
+        var target = !fromHistory && url.hash && document.getElementById(decodeURIComponent(url.hash.slice(1)));
+        if (fromHistory) {
+            window.scrollTo(0, restoreY);
+        } else if (target) {
+            target.scrollIntoView();
+        } else {
+            window.scrollTo(0, 0);
+        }
+
+        next.focus({ preventScroll: true });
+        var announcer = document.querySelector('.page-announcer');
+        if (announcer) announcer.textContent = document.title;
+
+        document.dispatchEvent(new CustomEvent('page:load', { detail: { url: url.href, root: next } }));
+        return next;
+    }
+
+    function navigateTo(url, restoreY) {
+        var token = ++navigationToken;
+        var root = document.documentElement;
+        root.classList.add('page-loading');
+
+        fetchPage(url.href).then(function (html) {
+            if (token !== navigationToken) return;
+
+            var doc = new DOMParser().parseFromString(html, 'text/html');
+            if (!doc.querySelector('main') || !document.querySelector('main')) throw new Error('No <main> to swap');
+
+            if (prefersReducedMotion) {
+                swapPage(doc, url, restoreY);
+            } else if (document.startViewTransition) {
+                document.startViewTransition(function () { swapPage(doc, url, restoreY); });
+            } else {
+                // Cross-fade fallback: fade the old <main> out, the new one in
+                document.querySelector('main').classList.add('page-leave');
                 setTimeout(function () {
-                    convoChat.removeChild(typing);
-                    resolve();
-                }, delay);
+                    if (token !== navigationToken) return;
+                    var next = swapPage(doc, url, restoreY);
+                    next.classList.add('page-enter');
+                    requestAnimationFrame(function () {
+                        requestAnimationFrame(function () { next.classList.remove('page-enter'); });
+                    });
+                }, PAGE_FADE_MS);
+            }
+        }).catch(function () {
+            if (token !== navigationToken) return;
+            // The address bar already shows the page after back/forward
+            if (restoreY !== null) {
+                window.location.reload();
+            } else {
+                window.location.assign(url.href);
+            }
+        }).then(function () {
+            if (token === navigationToken) root.classList.remove('page-loading');
+        });
+    }
+
+    function initPageTransitions() {
+        if (!pageLifetime || !window.fetch || !window.DOMParser || !history.pushState) return;
+        if (!document.querySelector('main')) return;
+
+        // Relative hrefs in the persistent chrome would break from /blog/
+        document.querySelectorAll('#nav a[href], #mobileNav a[href], .footer a[href]').forEach(function (link) {
+            link.setAttribute('href', link.href);
+        });
+
+        var announcer = document.createElement('p');
+        announcer.className = 'page-announcer visually-hidden';
+        announcer.setAttribute('aria-live', 'polite');
+        document.body.appendChild(announcer);
+
+        // Scroll positions live in history.state so back/forward can restore them
+        history.scrollRestoration = 'manual';
+        if (history.state && history.state.scrollY) window.scrollTo(0, history.state.scrollY);
+
+        var scrollTimer = null;
+        window.addEventListener('scroll', function () {
+            clearTimeout(scrollTimer);
+            scrollTimer = setTimeout(rememberScroll, SCROLL_SAVE_DELAY);
+        }, { passive: true });
+
+        var renderedKey = pageKey(window.location.href);
+        document.addEventListener('page:load', function (e) {
+            renderedKey = pageKey(e.detail.url);
+        });
+
+        // On window, so it runs after every delegated handler on document
+        // (lightbox triggers, etc.) and can respect their preventDefault
+        window.addEventListener('click', function (e) {
+            if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+            var url = transitionTarget(e.target.closest && e.target.closest('a[href]'));
+            if (!url) return;
+            e.preventDefault();
+            navigateTo(url, null);
+        });
+
+        // Hash, lightbox and filter history entries stay on this page
+        window.addEventListener('popstate', function () {
+            if (pageKey(window.location.href) === renderedKey) return;
+            // Read the saved position now, before a pending save can overwrite it
+            clearTimeout(scrollTimer);
+            navigateTo(new URL(window.location.href), (history.state && history.state.scrollY) || 0);
+        });
+
+        /* --- Prefetch: hover intent, focus, touch, viewport --- */
+
+        var hoverTimer = null;
+
+        document.addEventListener('pointerover', function (e) {
+            var link = e.target.closest && e.target.closest('a[href]');
+            if (!link) return;
+            clearTimeout(hoverTimer);
+            hoverTimer = setTimeout(function () { prefetchLink(link); }, PREFETCH_HOVER_DELAY);
+        });
+
+        document.addEventListener('pointerout', function () {
+            clearTimeout(hoverTimer);
+        });
+
+        ['focusin', 'touchstart'].forEach(function (type) {
+            document.addEventListener(type, function (e) {
+                prefetchLink(e.target.closest && e.target.closest('a[href]'));
+            }, { passive: true });
+        });
+
+        if (!('IntersectionObserver' in window)) return;
+
+        var idle = window.requestIdleCallback || function (fn) { return setTimeout(fn, 200); };
+        var visibleObserver = new IntersectionObserver(function (entries) {
+            entries.forEach(function (entry) {
+                if (!entry.isIntersecting) return;
+                visibleObserver.unobserve(entry.target);
+                idle(function () { prefetchLink(entry.target); });
             });
-        }
+        }, { rootMargin: '200px 0px' });
 
-        // Utility: transition steps
-        function showStep(stepEl) {
-            document.querySelectorAll('.convo-form__step').forEach(function (s) {
-                s.classList.remove('active');
+        function watchLinks() {
+            document.querySelectorAll(PREFETCH_VISIBLE_SELECTOR).forEach(function (link) {
+                visibleObserver.observe(link);
             });
-            if (stepEl) stepEl.classList.add('active');
         }
 
-        // Step 0: Open the form
-        startBtn.addEventListener('click', function () {
-            convoForm.classList.add('active');
-            startBtn.style.color = 'var(--accent)';
+        watchLinks();
+        document.addEventListener('page:load', watchLinks);
+    }
 
-            showTyping(600).then(function () {
-                addBubble("Hey! What kind of work are you looking for?", 'bot');
-                showStep(step1);
-            });
+    /* ============================================
+       ANALYTICS — COOKIE-LESS EVENT COUNTS
+       ============================================
+       Counts what visitors do without telling them apart:
+       no cookies, no storage, no visitor or session IDs.
+       Events queue here and go out in batches to the
+       Worker route in worker/analytics.js, which only
+       keeps per-day totals:
+
+         pageview  { path, ref }    — ref: external referrer host, first page only
+         scroll    { path, depth }  — 25 / 50 / 75 / 100, each once per page view
+         outbound  { path, href }   — clicks through to other sites (host + path)
+         funnel    { path, step }   — convo form: start, each answered step id, sent
+
+       The queue is sent with navigator.sendBeacon when the
+       page is hidden or unloaded (fetch keepalive where
+       beacons are missing), or early once it holds
+       ANALYTICS_BATCH_SIZE events. With Do Not Track or
+       Global Privacy Control on, nothing is queued.
+       Other modules report through trackEvent(type, data).
+    */
+
+    var ANALYTICS_ENDPOINT = '/api/collect';
+    var ANALYTICS_BATCH_SIZE = 20;
+    var SCROLL_DEPTHS = [25, 50, 75, 100];
+
+    var analyticsEnabled = false;
+    var analyticsQueue = [];
+    var scrollDepthsSeen = [];
+
+    function trackingAllowed() {
+        var dnt = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+        if (dnt === '1' || dnt === 'yes' || navigator.globalPrivacyControl === true) return false;
+        // file:// previews have no Worker to report to
+        return /^https?:$/.test(window.location.protocol);
+    }
+
+    function trackEvent(type, data) {
+        if (!analyticsEnabled) return;
+
+        var event = { type: type, path: window.location.pathname };
+        Object.keys(data || {}).forEach(function (key) {
+            event[key] = data[key];
         });
+        analyticsQueue.push(event);
 
-        // Step 1: Work type dropdown + Next button
-        var workSelect = document.getElementById('convoWorkType');
-        var step1Next = document.getElementById('convoStep1Next');
-        if (step1Next && workSelect) {
-            step1Next.addEventListener('click', function () {
-                if (!workSelect.value) {
-                    workSelect.style.borderColor = 'rgba(232, 93, 58, 0.6)';
-                    workSelect.focus();
-                    return;
-                }
-                answers.work = workSelect.value;
-                addBubble(answers.work, 'user');
-                showStep(null);
+        if (analyticsQueue.length >= ANALYTICS_BATCH_SIZE) flushAnalytics();
+    }
 
-                showTyping(500).then(function () {
-                    addBubble("Nice. How did you find me?", 'bot');
-                    showStep(step2);
-                });
-            });
+    function flushAnalytics() {
+        if (!analyticsQueue.length) return;
+
+        var body = JSON.stringify({ events: analyticsQueue.splice(0) });
+
+        if (navigator.sendBeacon &&
+            navigator.sendBeacon(ANALYTICS_ENDPOINT, new Blob([body], { type: 'application/json' }))) {
+            return;
+        }
+        if (window.fetch) {
+            fetch(ANALYTICS_ENDPOINT, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: body,
+                keepalive: true,
+            }).catch(function () { /* lost events only skew the totals */ });
+        }
+    }
+
+    // Host of an off-site referrer, '' for direct visits and internal links
+    function externalReferrer() {
+        try {
+            var ref = new URL(document.referrer);
+            return ref.origin === window.location.origin ? '' : ref.hostname;
+        } catch (err) {
+            return '';
         }
+    }
 
-        // Step 2: Source pills
-        step2.querySelectorAll('.convo-pill').forEach(function (pill) {
-            pill.addEventListener('click', function () {
-                answers.source = pill.dataset.value;
-                addBubble(answers.source, 'user');
-                showStep(null);
+    function trackScrollDepth() {
+        var doc = document.documentElement;
+        if (doc.scrollHeight <= window.innerHeight) return;
 
-                showTyping(500).then(function () {
-                    addBubble("Almost there — drop your details and I'll be in touch.", 'bot');
-                    showStep(step3);
-                    // Auto-focus the name field
-                    var nameInput = document.getElementById('convoName');
-                    if (nameInput) setTimeout(function () { nameInput.focus(); }, 100);
-                });
+        var seen = Math.round((window.scrollY + window.innerHeight) / doc.scrollHeight * 100);
+        SCROLL_DEPTHS.forEach(function (depth) {
+            if (seen >= depth && scrollDepthsSeen.indexOf(depth) === -1) {
+                scrollDepthsSeen.push(depth);
+                trackEvent('scroll', { depth: depth });
+            }
+        });
+    }
+
+    function initAnalytics() {
+        analyticsEnabled = trackingAllowed();
+        if (!analyticsEnabled) return;
+
+        trackEvent('pageview', { ref: externalReferrer() });
+
+        // Client-side navigations count as page views of their own
+        document.addEventListener('page:load', function () {
+            scrollDepthsSeen = [];
+            trackEvent('pageview');
+        });
+
+        var scrollTicking = false;
+        window.addEventListener('scroll', function () {
+            if (scrollTicking) return;
+            scrollTicking = true;
+            requestAnimationFrame(function () {
+                scrollTicking = false;
+                trackScrollDepth();
             });
+        }, { passive: true });
+
+        // Capture phase, so links whose handlers stop the click still count
+        document.addEventListener('click', function (e) {
+            var link = e.target.closest ? e.target.closest('a[href]') : null;
+            if (!link || !/^https?:$/.test(link.protocol) || link.origin === window.location.origin) return;
+            trackEvent('outbound', { href: link.hostname + link.pathname.replace(/\/$/, '') });
+        }, true);
+
+        document.addEventListener('visibilitychange', function () {
+            if (document.visibilityState === 'hidden') flushAnalytics();
         });
+        window.addEventListener('pagehide', flushAnalytics);
+    }
+
+    /* ============================================
+       OFFLINE — SERVICE WORKER REGISTRATION
+       ============================================
+       Registers sw.js (site root) once the page has loaded.
+       The worker precaches the shell, keeps visited blog
+       posts for offline reading, answers unreachable pages
+       with offline.html and queues contact submissions made
+       without a connection (submitInquiry() reports those
+       as 'queued').
 
-        // Step 3: Send button
-        sendBtn.addEventListener('click', function () {
-            var nameInput = document.getElementById('convoName');
-            var emailInput = document.getElementById('convoEmail');
-            var noteInput = document.getElementById('convoNote');
+       On load and whenever the browser comes back online the
+       page asks the worker to send that queue — Background
+       Sync does the same where it exists.
 
-            var name = nameInput.value.trim();
-            var email = emailInput.value.trim();
-            var note = noteInput.value.trim();
+       A queued message the Worker turns down stays with the
+       worker, which reports it after each flush. It shows
+       here as a notice with a pre-filled mailto until the
+       visitor dismisses it.
+    */
 
-            // Validation
-            if (!name) { nameInput.focus(); nameInput.style.borderColor = 'rgba(232, 93, 58, 0.6)'; return; }
-            if (!email || email.indexOf('@') === -1) { emailInput.focus(); emailInput.style.borderColor = 'rgba(232, 93, 58, 0.6)'; return; }
+    var shownQueueFailures = {};
 
-            answers.name = name;
-            answers.email = email;
-            answers.note = note;
+    function postToWorker(message) {
+        navigator.serviceWorker.ready.then(function (registration) {
+            if (registration.active) registration.active.postMessage(message);
+        });
+    }
 
-            // Compose mailto
-            var subject = encodeURIComponent('New inquiry from ' + answers.name + ' — ' + answers.work);
-            var body = encodeURIComponent(
-                'Hi Azlan,\n\n' +
-                'Name: ' + answers.name + '\n' +
-                'Email: ' + answers.email + '\n' +
-                'Looking for: ' + answers.work + '\n' +
-                'Found you via: ' + answers.source + '\n' +
-                (answers.note ? 'Note: ' + answers.note + '\n' : '') +
-                '\nSent from your portfolio site.'
-            );
+    function flushContactQueue() {
+        postToWorker({ type: 'flush-contact-queue' });
+    }
 
-            var mailtoLink = 'mailto:azlanallahwala@gmail.com?subject=' + subject + '&body=' + body;
+    function failedInquiryMailto(body) {
+        var fields = {};
+        try { fields = JSON.parse(body) || {}; } catch (err) { /* unreadable — send what's left */ }
 
-            // Show success state
-            showStep(null);
-            addBubble(name + ' — ' + email, 'user');
+        var lines = ['Hi Azlan,', ''];
+        Object.keys(fields).forEach(function (key) {
+            if (key === 'website' || key === 'elapsedMs' || !fields[key]) return;
+            var label = key.replace(/([A-Z])/g, ' $1').toLowerCase();
+            lines.push(label.charAt(0).toUpperCase() + label.slice(1) + ': ' + fields[key]);
+        });
+        lines.push('', 'Sent from your portfolio site.');
+        return buildMailto('New inquiry from ' + (fields.name || 'your site'), lines);
+    }
 
-            showTyping(400).then(function () {
-                // Replace chat with success
-                var successHTML = '<div class="convo-success">' +
-                    '<span class="convo-success__icon">&#10003;</span>' +
-                    '<p class="convo-success__text">Opening your email client now.<br>If it doesn\'t open, <a href="' + mailtoLink + '" style="color: var(--accent); text-decoration: underline;">click here</a>.</p>' +
-                    '</div>';
+    function showQueueFailure(entry) {
+        if (shownQueueFailures[entry.id]) return;
 
-                // Clear steps, show success after chat
-                document.querySelectorAll('.convo-form__step').forEach(function (s) { s.style.display = 'none'; });
-                var successDiv = document.createElement('div');
-                successDiv.innerHTML = successHTML;
-                convoForm.appendChild(successDiv.firstChild);
+        var notice = document.createElement('div');
+        notice.className = 'queue-notice';
+        notice.setAttribute('role', 'alert');
+        notice.innerHTML =
+            '<p class="queue-notice__text">The message you saved offline on ' +
+                escapeHTML(new Date(entry.queuedAt).toLocaleDateString(undefined, { day: 'numeric', month: 'short' })) +
+                ' couldn\'t be sent: ' + escapeHTML(entry.message) + '</p>' +
+            '<div class="queue-notice__actions">' +
+                '<a class="text-link text-link--small" href="' + escapeHTML(failedInquiryMailto(entry.body)) + '">Email it instead</a>' +
+                '<button type="button" class="queue-notice__dismiss">Dismiss</button>' +
+            '</div>';
 
-                // Open mailto
-                window.location.href = mailtoLink;
-            });
+        notice.querySelector('.queue-notice__dismiss').addEventListener('click', function () {
+            postToWorker({ type: 'dismiss-contact-failure', id: entry.id });
+            notice.parentNode.removeChild(notice);
         });
 
-        // Allow Enter key to submit on step 3
-        [document.getElementById('convoName'), document.getElementById('convoEmail'), document.getElementById('convoNote')].forEach(function (input) {
-            if (!input) return;
-            input.addEventListener('keydown', function (e) {
-                if (e.key === 'Enter' && !e.shiftKey) {
-                    e.preventDefault();
-                    sendBtn.click();
-                }
-            });
+        shownQueueFailures[entry.id] = true;
+        document.body.appendChild(notice);
+    }
+
+    function initServiceWorker() {
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+        function register() {
+            navigator.serviceWorker.register(SITE_ROOT + 'sw.js').then(function () {
+                if (navigator.onLine) flushContactQueue();
+            }).catch(function () { /* no offline support — the site works as before */ });
+        }
+
+        if (document.readyState === 'complete') {
+            register();
+        } else {
+            window.addEventListener('load', register);
+        }
+
+        window.addEventListener('online', flushContactQueue);
+
+        navigator.serviceWorker.addEventListener('message', function (e) {
+            if (e.data && e.data.type === 'contact-queue-failed') e.data.entries.forEach(showQueueFailure);
         });
     }
 
     /* ============================================
        ACTIVE NAV LINK
-       ============================================ */
+       ============================================
+       scripts/build-pages.js marks the current section's link
+       in the markup and puts the section on <body data-section>.
+       The nav outlives client-side navigation, and PAGE
+       TRANSITIONS copies the next page's data-section across,
+       so this re-marks the links to match after every swap.
+    */
 
     function initActiveNavLink() {
-        var fullPath = window.location.pathname;
-        var currentFile = fullPath.split('/').pop() || 'index.html';
-        var isInBlogDir = fullPath.indexOf('/blog/') !== -1;
+        var section = document.body.getAttribute('data-section');
 
-        document.querySelectorAll('.nav__link').forEach(function (link) {
-            var href = link.getAttribute('href');
-            if (isInBlogDir && (href === '../blog.html' || href === 'blog.html')) {
-                link.classList.add('nav__link--active');
-            } else if (href === currentFile) {
-                link.classList.add('nav__link--active');
+        document.querySelectorAll('.nav__link[data-section], .mobile-nav__link[data-section]').forEach(function (link) {
+            var active = link.getAttribute('data-section') === section;
+            if (link.classList.contains('nav__link')) link.classList.toggle('nav__link--active', active);
+            if (active) {
+                link.setAttribute('aria-current', 'page');
+            } else {
+                link.removeAttribute('aria-current');
             }
         });
     }
@@ -662,17 +4872,35 @@
     // Run split-text immediately (before paint if possible)
     splitHeroTitle();
 
-    // Everything else on DOMContentLoaded or immediately if already loaded
+    // Everything else on DOMContentLoaded or immediately if already loaded.
+    // init() sets up the chrome that survives client-side navigation.
     function init() {
+        initAnalytics();
+        initMotionPreferences();
+        initTheme();
         initNavScroll();
         initMobileNav();
-        initScrollReveals();
-        initPullQuoteReveals();
-        initStatCalloutReveals();
-        initContactBarReveal();
+        initRevealEngine();
         initScrollLinked();
-        initLightbox();
+        initSearch();
+        initPage();
+        initPageTransitions();
+        initServiceWorker();
+    }
+
+    // Modules tied to the content of <main>. PAGE TRANSITIONS runs this
+    // again for every page it swaps in.
+    function initPage() {
+        initCounters();
+        // Filter first so the lightbox (and any #photo= deep link) sees the filtered set
         initGalleryFilter();
+        initEmbedFacades();
+        initCaseExplorer();
+        initBlogIndex();
+        initPostFooter();
+        initArticleTools();
+        initCodeBlocks();
+        initLightbox();
         initContactForm();
         initConvoForm();
         initActiveNavLink();
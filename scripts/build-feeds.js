@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/* ============================================
+   BUILD-FEEDS — Atom, RSS and JSON Feed for the blog
+   ============================================
+   Reads every post under blog/ and writes:
+
+     feed.xml   — Atom 1.0
+     rss.xml    — RSS 2.0 (content:encoded for full text)
+     feed.json  — JSON Feed 1.1
+
+   Usage:  node scripts/build-feeds.js
+
+   Each entry carries the post's title (<h1>), summary
+   (meta description), full content (the .blog-article
+   body with links made absolute), tags (.blog-meta__tags),
+   date (the "Published" or "Date" blog-meta value, e.g.
+   "November 2025", as the first of that month) and
+   canonical URL.
+
+   posts.json, the post manifest build-pages.js writes,
+   sets the feed order (newest first), and its `date` has
+   to agree with the page. A post missing a field, or
+   missing from posts.json (build-pages.js not re-run),
+   fails the build with every problem listed.
+
+   Re-run after adding or editing a post and commit the
+   output — like search-index.json, the feeds are served
+   as-is. The output depends only on the posts, so an
+   unchanged blog rebuilds byte for byte.
+*/
+
+'use strict';
+
+const html = require('./lib/html');
+const posts = require('./lib/posts');
+const site = require('./lib/site');
+
+const SITE_URL = site.SITE_URL;
+const BLOG_URL = site.canonicalUrl('blog.html');
+const FEED_TITLE = 'Azlan Allahwala — Blog';
+const FEED_DESCRIPTION = 'Notes from the field: architecture decisions, debugging war stories, and lessons learned across enterprise Salesforce implementations.';
+const AUTHOR = site.AUTHOR;
+
+const problems = [];
+
+function problem(relPath, message) {
+    problems.push(relPath + ': ' + message);
+}
+
+// Feed readers show content out of context, so every link and
+// image has to point at the live site
+function absolutize(content, pageUrl) {
+    return content
+        .replace(/<script[\s\S]*?<\/script>/gi, '')
+        .replace(/\s(href|src)="([^"]*)"/g, function (match, name, value) {
+            if (/^(?:[a-z]+:|#)/i.test(value)) return match;
+            return ' ' + name + '="' + new URL(html.decodeEntities(value), pageUrl).href + '"';
+        })
+        .replace(/\n\s*\n/g, '\n')
+        .trim();
+}
+
+function readPost(relPath, manifest) {
+    const post = posts.read(relPath);
+    const entry = manifest[post.slug];
+
+    post.content = absolutize(post.body, SITE_URL + relPath);
+
+    if (!post.title) problem(relPath, 'no <h1> title');
+    if (!post.summary) problem(relPath, 'no <meta name="description">');
+    if (!html.text(post.content)) problem(relPath, 'no .blog-article content');
+    if (!post.tags.length) problem(relPath, 'no tags in .blog-meta__tags');
+    if (!post.month) problem(relPath, 'no "Published" or "Date" value like "November 2025" in .blog-meta (found "' + post.published + '")');
+
+    if (!entry) {
+        problem(relPath, 'not listed in posts.json');
+    } else if (post.month && entry.date !== post.month) {
+        problem(relPath, 'published ' + post.month + ' but posts.json says ' + entry.date);
+    }
+
+    post.date = post.month + '-01T00:00:00Z';
+    post.order = entry ? entry.order : Infinity;
+    return post;
+}
+
+function escapeXml(str) {
+    return String(str).replace(/[&<>"']/g, function (ch) {
+        return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[ch];
+    });
+}
+
+function atom(posts, updated) {
+    const entries = posts.map(function (post) {
+        return [
+            '  <entry>',
+            '    <title>' + escapeXml(post.title) + '</title>',
+            '    <id>' + post.url + '</id>',
+            '    <link rel="alternate" type="text/html" href="' + post.url + '"/>',
+            '    <published>' + post.date + '</published>',
+            '    <updated>' + post.date + '</updated>',
+            '    <summary>' + escapeXml(post.summary) + '</summary>',
+            '    <content type="html">' + escapeXml(post.content) + '</content>',
+        ].concat(post.tags.map(function (tag) {
+            return '    <category term="' + escapeXml(tag) + '"/>';
+        }), ['  </entry>']).join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">',
+        '  <title>' + escapeXml(FEED_TITLE) + '</title>',
+        '  <subtitle>' + escapeXml(FEED_DESCRIPTION) + '</subtitle>',
+        '  <id>' + BLOG_URL + '</id>',
+        '  <link rel="alternate" type="text/html" href="' + BLOG_URL + '"/>',
+        '  <link rel="self" type="application/atom+xml" href="' + SITE_URL + 'feed.xml"/>',
+        '  <updated>' + updated + '</updated>',
+        '  <author><name>' + escapeXml(AUTHOR) + '</name><uri>' + SITE_URL + '</uri></author>',
+        '  <icon>' + SITE_URL + 'favicon.svg</icon>',
+    ].concat(entries, ['</feed>', '']).join('\n');
+}
+
+function rss(posts, updated) {
+    const items = posts.map(function (post) {
+        return [
+            '    <item>',
+            '      <title>' + escapeXml(post.title) + '</title>',
+            '      <link>' + post.url + '</link>',
+            '      <guid isPermaLink="true">' + post.url + '</guid>',
+            '      <pubDate>' + new Date(post.date).toUTCString() + '</pubDate>',
+            '      <dc:creator>' + escapeXml(AUTHOR) + '</dc:creator>',
+            '      <description>' + escapeXml(post.summary) + '</description>',
+            '      <content:encoded>' + escapeXml(post.content) + '</content:encoded>',
+        ].concat(post.tags.map(function (tag) {
+            return '      <category>' + escapeXml(tag) + '</category>';
+        }), ['    </item>']).join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+        '  <channel>',
+        '    <title>' + escapeXml(FEED_TITLE) + '</title>',
+        '    <link>' + BLOG_URL + '</link>',
+        '    <description>' + escapeXml(FEED_DESCRIPTION) + '</description>',
+        '    <language>en</language>',
+        '    <lastBuildDate>' + new Date(updated).toUTCString() + '</lastBuildDate>',
+        '    <atom:link rel="self" type="application/rss+xml" href="' + SITE_URL + 'rss.xml"/>',
+    ].concat(items, ['  </channel>', '</rss>', '']).join('\n');
+}
+
+function jsonFeed(posts) {
+    return JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: FEED_TITLE,
+        home_page_url: BLOG_URL,
+        feed_url: SITE_URL + 'feed.json',
+        description: FEED_DESCRIPTION,
+        icon: SITE_URL + 'images/apple-touch-icon.png',
+        favicon: SITE_URL + 'favicon.svg',
+        language: 'en',
+        authors: [{ name: AUTHOR, url: SITE_URL }],
+        items: posts.map(function (post) {
+            return {
+                id: post.url,
+                url: post.url,
+                title: post.title,
+                summary: post.summary,
+                content_html: post.content,
+                date_published: post.date,
+                tags: post.tags,
+            };
+        }),
+    }, null, 2) + '\n';
+}
+
+const manifest = {};
+JSON.parse(html.read('posts.json')).posts.forEach(function (entry, i) {
+    manifest[entry.slug] = { date: entry.date, order: i };
+});
+
+const entries = html.blogPosts().map(function (relPath) {
+    return readPost(relPath, manifest);
+});
+
+if (problems.length) {
+    console.error('build-feeds: ' + problems.length + ' problem(s), no feeds written:\n  ' + problems.join('\n  '));
+    process.exit(1);
+}
+
+entries.sort(function (a, b) {
+    return a.order - b.order;
+});
+const updated = entries.map(function (post) { return post.date; }).sort().pop();
+
+html.write('feed.xml', atom(entries, updated));
+html.write('rss.xml', rss(entries, updated));
+html.write('feed.json', jsonFeed(entries));
+console.log('build-feeds: wrote ' + entries.length + ' posts to feed.xml, rss.xml and feed.json');
@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+/* ============================================
+   BUILD-PAGES — Render the site's pages from src/
+   ============================================
+   Every page's shared chrome — <head> links, nav, mobile
+   menu, footer — lives once, in src/partials/, and
+   src/layout.html puts a page together around it. The
+   pages themselves are src/pages/<path>.html: front-matter
+   plus the page's <main> (see scripts/lib/template.js).
+
+     ---
+     title: About — Azlan Allahwala
+     description: Salesforce architect, AI builder …
+     section: about
+     tags: Apex, Flow          (posts: the meta bar's tags)
+     topic: Salesforce         (posts only, with image:)
+     ---
+
+   Usage:  node scripts/build-pages.js
+
+   src/pages/about.html becomes about.html, and
+   src/pages/blog/x.html becomes blog/x.html, with links to
+   shared files prefixed ../ as deep as the page sits.
+
+   `section` is one of the NAV ids in scripts/lib/site.js
+   (or "home"). The matching nav link is marked active here
+   and the page's <body> gets data-section, which main.js
+   (ACTIVE NAV LINK) follows after client-side navigation.
+   Pages in the blog section also link the feeds.
+
+   Posts (src/pages/blog/) end with {{> post-footer}}: the
+   RELATED_POST_COUNT posts sharing the most tags (then
+   topic, then recency) and the previous/next post. The
+   post list behind it — newest first, from each post's
+   front-matter, <h1> and blog-meta date and read time —
+   is written to posts.json for build-feeds.js and main.js.
+
+   Edit the sources, never the generated pages, then re-run
+   scripts/build.js (this, then SEO, feeds and search).
+   The SEO block build-seo.js writes into a page is carried
+   over, so running this alone leaves it in place.
+   offline.html is not built from src/: sw.js serves it at
+   any URL, so it keeps its own root-absolute markup.
+
+   A page with no title, description or known section, or
+   a post with no topic or blog-meta date, fails the build
+   before anything is written.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const html = require('./lib/html');
+const posts = require('./lib/posts');
+const site = require('./lib/site');
+const template = require('./lib/template');
+
+const PAGES_DIR = 'pages';
+const POSTS_MANIFEST = 'posts.json';
+const RELATED_POST_COUNT = 2;
+const STANDALONE_PAGES = ['offline.html'];
+const SECTIONS = ['home'].concat(site.NAV.map(function (item) { return item.section; }));
+
+const SEO_BLOCK_PATTERN = /^ *<!-- SEO [\s\S]*?<!-- \/SEO -->$/m;
+
+const problems = [];
+
+function problem(relPath, message) {
+    problems.push(relPath + ': ' + message);
+}
+
+/**
+ * Output paths of every page source, root pages first.
+ */
+function sources() {
+    const root = path.join(template.SRC, PAGES_DIR);
+    const list = function (dir, prefix) {
+        return fs.readdirSync(path.join(root, dir))
+            .filter(function (file) { return file.endsWith('.html'); })
+            .sort()
+            .map(function (file) { return prefix + file; });
+    };
+    return list('.', '').concat(list('blog', 'blog/'));
+}
+
+function existing(relPath) {
+    try {
+        return html.read(relPath);
+    } catch (err) {
+        return '';
+    }
+}
+
+function navItems(root, section) {
+    return site.NAV.map(function (item, index) {
+        return {
+            section: item.section,
+            label: item.label,
+            href: root + item.href,
+            index: index,
+            accent: !!item.accent,
+            active: item.section === section,
+        };
+    });
+}
+
+function readSource(relPath) {
+    return template.parse(template.read(path.join(PAGES_DIR, relPath)));
+}
+
+/**
+ * A post's manifest entry. Text fields stay HTML, as in the source.
+ */
+function postEntry(relPath, page) {
+    const entry = {
+        slug: path.basename(relPath, '.html'),
+        title: html.firstTag(page.content, 'h1').trim(),
+        date: posts.publishedMonth(posts.publishedValue(page.content)),
+        topic: page.data.topic || '',
+        tags: page.data.tags || [],
+        description: page.data.description || '',
+        readTime: posts.readTime(page.content),
+        image: page.data.image || '',
+    };
+
+    if (!entry.title) problem(relPath, 'no <h1> title');
+    if (!entry.date) problem(relPath, 'no "Published" or "Date" value like "November 2025" in .blog-meta');
+    if (!entry.topic) problem(relPath, 'no topic in the front-matter');
+    return entry;
+}
+
+/**
+ * Every post, newest first; posts from the same month by slug.
+ */
+function postList(pages) {
+    return pages
+        .filter(function (relPath) { return relPath.indexOf('blog/') === 0; })
+        .map(function (relPath) { return postEntry(relPath, readSource(relPath)); })
+        .sort(function (a, b) {
+            return b.date.localeCompare(a.date) || a.slug.localeCompare(b.slug);
+        });
+}
+
+function relatedPosts(current, list) {
+    const last = Math.max(list.length - 1, 1);
+    return list
+        .filter(function (post) { return post !== current; })
+        .map(function (post) {
+            const shared = post.tags.filter(function (tag) { return current.tags.indexOf(tag) !== -1; }).length;
+            const recency = 1 - list.indexOf(post) / last;
+            return { post: post, score: shared * 10 + (post.topic === current.topic ? 3 : 0) + recency * 2 };
+        })
+        .sort(function (a, b) { return b.score - a.score; })
+        .slice(0, RELATED_POST_COUNT)
+        .map(function (entry) {
+            return Object.assign({}, entry.post, { cardTags: entry.post.tags.slice(0, 2) });
+        });
+}
+
+/**
+ * The post-footer partial's context for one post.
+ */
+function postFooter(slug, list) {
+    const current = list.filter(function (post) { return post.slug === slug; })[0];
+    if (!current) return { related: '', postNav: '' };
+
+    const at = list.indexOf(current);
+    const older = list[at + 1] || '';
+    const newer = list[at - 1] || '';
+    const cards = relatedPosts(current, list);
+    return {
+        related: cards.length ? { cards: cards } : '',
+        postNav: older || newer ? { prev: older, next: newer } : '',
+    };
+}
+
+// posts.json is read by people's browsers too, so text is plain
+function manifest(list) {
+    return JSON.stringify({
+        posts: list.map(function (post) {
+            return Object.assign({}, post, {
+                title: html.text(post.title),
+                topic: html.decodeEntities(post.topic),
+                tags: post.tags.map(html.decodeEntities),
+                description: html.decodeEntities(post.description),
+            });
+        }),
+    }, null, 4) + '\n';
+}
+
+function renderPage(relPath, layout, list) {
+    const page = readSource(relPath);
+    const data = page.data;
+
+    if (!data.title) problem(relPath, 'no title in the front-matter');
+    if (!data.description) problem(relPath, 'no description in the front-matter');
+    if (SECTIONS.indexOf(data.section) === -1) {
+        problem(relPath, 'section "' + (data.section || '') + '" is not one of ' + SECTIONS.join(', '));
+    }
+
+    const root = '../'.repeat(relPath.split('/').length - 1);
+    const seo = existing(relPath).match(SEO_BLOCK_PATTERN);
+    const context = Object.assign({}, data, {
+        source: relPath,
+        root: root,
+        section: data.section || '',
+        nav: navItems(root, data.section),
+        keywords: (data.tags || []).join(', '),
+        feeds: data.section === 'blog',
+        seo: seo ? seo[0] : '',
+        head: page.head,
+        scripts: page.scripts,
+    }, postFooter(path.basename(relPath, '.html'), list));
+
+    try {
+        context.content = template.render(page.content, context);
+        return template.render(layout, context) + '\n';
+    } catch (err) {
+        problem(relPath, err.message);
+        return '';
+    }
+}
+
+const layout = template.read('layout.html');
+const pages = sources();
+const list = postList(pages);
+const rendered = pages.map(function (relPath) {
+    return { relPath: relPath, contents: renderPage(relPath, layout, list) };
+});
+rendered.push({ relPath: POSTS_MANIFEST, contents: manifest(list) });
+
+html.sitePages().forEach(function (relPath) {
+    if (pages.indexOf(relPath) === -1 && STANDALONE_PAGES.indexOf(relPath) === -1) {
+        problem(relPath, 'has no source in src/pages/ — it would drift from the shared layout');
+    }
+});
+
+if (problems.length) {
+    console.error('build-pages: ' + problems.length + ' problem(s), nothing written:\n  ' + problems.join('\n  '));
+    process.exit(1);
+}
+
+let changed = 0;
+rendered.forEach(function (page) {
+    if (existing(page.relPath) === page.contents) return;
+    html.write(page.relPath, page.contents);
+    changed++;
+});
+
+console.log('build-pages: rendered ' + pages.length + ' pages and ' + POSTS_MANIFEST + ', ' + changed + ' changed');
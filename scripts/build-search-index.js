@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/* ============================================
+   BUILD-SEARCH-INDEX — search-index.json for the site search
+   ============================================
+   Reads every post under blog/ plus the case studies on
+   salesforce.html and the projects on ai-lab.html, and
+   writes one flat JSON index the browser searches offline
+   (see initSearch in main.js).
+
+   Usage:  node scripts/build-search-index.js
+
+   Each document:
+     { url, type, title, dek, tags[], body, code }
+
+   Re-run after adding or editing a post or case study and
+   commit the result — the site is served as-is, with no
+   build step on deploy.
+   Case studies and projects link to their element id —
+   a card without an id fails the build.
+*/
+
+'use strict';
+
+const html = require('./lib/html');
+
+const BODY_LIMIT = 6000;
+const CODE_LIMIT = 3000;
+
+function clip(str, limit) {
+    return str.length > limit ? str.slice(0, limit) : str;
+}
+
+function fail(message) {
+    console.error('build-search-index: ' + message);
+    process.exit(1);
+}
+
+function indexPost(relPath) {
+    const page = html.read(relPath);
+    const title = html.text(html.firstTag(page, 'h1'));
+    if (!title) fail(relPath + ' has no <h1>');
+
+    let article = html.articleBody(page);
+
+    const code = [];
+    article = article.replace(/<pre[^>]*>([\s\S]*?)<\/pre>/gi, function (match, inner) {
+        code.push(html.decodeEntities(inner.replace(/<[^>]+>/g, '')));
+        return ' ';
+    });
+
+    return {
+        url: relPath,
+        type: 'Post',
+        title: title,
+        dek: html.text(html.byClass(page, 'p', 'dek')[0]) || html.metaContent(page, 'description'),
+        tags: html.byClass(html.byClass(page, 'div', 'blog-meta__tags')[0] || '', 'span', 'tag--small').map(html.text),
+        body: clip(html.text(article), BODY_LIMIT),
+        code: clip(code.join('\n').replace(/[ \t]+/g, ' '), CODE_LIMIT),
+    };
+}
+
+function indexCaseStudies(relPath) {
+    const page = html.read(relPath);
+    const cards = html.elementsByClass(page, 'article', 'case-study-(?:card|feature)');
+
+    return cards.map(function (card) {
+        const id = html.attr(card.open, 'id');
+        const title = html.text(html.byClass(card.inner, 'h[23]', 'case-study-(?:card|feature)__title')[0]);
+        if (!id) fail(relPath + ': case study "' + title + '" needs an id');
+
+        return {
+            url: relPath + '#' + id,
+            type: 'Case Study',
+            title: title,
+            dek: html.text(html.byClass(card.inner, 'span', 'case-study-(?:card|feature)__client')[0]),
+            tags: html.byClass(card.inner, 'span', 'tag--small').map(html.text),
+            body: clip(html.text(card.inner.split(/class="case-study-(?:card|feature)__body"/)[1]), BODY_LIMIT),
+            code: '',
+        };
+    });
+}
+
+function indexProjects(relPath) {
+    const page = html.read(relPath);
+    const docs = [];
+
+    html.elementsByClass(page, 'div', 'featured-card').forEach(function (card) {
+        const id = html.attr(card.open, 'id');
+        if (!id) fail(relPath + ': featured project needs an id');
+        const rest = page.slice(page.indexOf(card.open));
+        docs.push({
+            url: relPath + '#' + id,
+            type: 'Project',
+            title: html.text(html.byClass(rest, 'h2', 'featured-card__title')[0]),
+            dek: html.text(html.byClass(rest, 'span', 'featured-card__meta')[0]),
+            tags: [],
+            body: clip(html.text(html.byClass(rest, 'p', 'featured-card__desc')[0]), BODY_LIMIT),
+            code: '',
+        });
+    });
+
+    html.elementsByClass(page, 'a', 'article-card').forEach(function (card) {
+        const id = html.attr(card.open, 'id');
+        const title = html.text(html.byClass(card.inner, 'h4', 'article-card__title')[0]);
+        if (!id) fail(relPath + ': project "' + title + '" needs an id');
+        docs.push({
+            url: relPath + '#' + id,
+            type: 'Project',
+            title: title,
+            dek: html.text(html.byClass(card.inner, 'p', 'article-card__desc')[0]),
+            tags: html.byClass(card.inner, 'span', 'tag--small').map(html.text),
+            body: '',
+            code: '',
+        });
+    });
+
+    return docs;
+}
+
+const docs = []
+    .concat(html.blogPosts().map(indexPost))
+    .concat(indexCaseStudies('salesforce.html'))
+    .concat(indexProjects('ai-lab.html'));
+
+html.write('search-index.json', JSON.stringify({ docs: docs }) + '\n');
+console.log('build-search-index: wrote ' + docs.length + ' documents to search-index.json');
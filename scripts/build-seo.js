@@ -0,0 +1,324 @@
+#!/usr/bin/env node
+/* ============================================
+   BUILD-SEO — Canonical, social and structured data tags
+   ============================================
+   Walks every page (root pages and blog/ posts) and:
+
+     - rewrites each page's SEO block in <head>: canonical
+       URL, Open Graph and Twitter card tags, and JSON-LD
+       (BlogPosting for posts, Person for about.html,
+       CreativeWork per case study on salesforce.html)
+     - writes sitemap.xml and robots.txt
+     - prints a report of missing or weak metadata
+
+   Usage:  node scripts/build-seo.js
+
+   The block sits right after the page's meta description,
+   between <!-- SEO … --> and <!-- /SEO --> comments, and is
+   derived from the page's <title> and description — edit
+   those in the page's front-matter (src/pages/), never the
+   block, then re-run. Re-running on unchanged pages
+   changes nothing.
+
+   Social images: a post's first article image, otherwise
+   images/og-image.png. Pages marked
+   <meta name="robots" content="noindex"> are left alone
+   and kept out of the sitemap.
+
+   Errors (no title, no description, an image that isn't
+   on disk) fail the build before anything is written;
+   warnings are only reported.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const html = require('./lib/html');
+const posts = require('./lib/posts');
+const site = require('./lib/site');
+
+const SITE_NAME = 'Azlan Allahwala';
+const DEFAULT_IMAGE = 'images/og-image.png';
+const PORTRAIT = 'images/azlan-portrait.png';
+const JOB_TITLE = 'Salesforce Architect';
+
+// Search results cut titles off near 70 characters and descriptions
+// near 160. Post headlines and deks run longer on purpose, so these
+// sit just above the longest the posts use and only catch runaways.
+const TITLE_MAX = 115;
+const DESCRIPTION_MIN = 50;
+const DESCRIPTION_MAX = 210;
+const CASE_STUDY_SUMMARY = 300;
+
+const BLOCK_PATTERN = /^ *<!-- SEO [\s\S]*?<!-- \/SEO -->\n/m;
+// Tags the block owns; hand-written copies from before it existed are removed
+const OWNED_PATTERNS = [
+    /^ *<meta (?:property|name)="(?:og|twitter|article):[^"]*" content="[^"]*">\n/gm,
+    /^ *<link rel="canonical" href="[^"]*">\n/gm,
+    /^ *<!-- (?:Open Graph \/ Social Share|Twitter Card) -->\n/gm,
+];
+
+const PERSON_ID = site.SITE_URL + '#person';
+
+const report = [];
+let errorCount = 0;
+
+function note(relPath, level, message) {
+    if (level === 'error') errorCount++;
+    report.push({ relPath, level, message });
+}
+
+function escapeAttr(str) {
+    return String(str).replace(/[&<>"]/g, function (ch) {
+        return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch];
+    });
+}
+
+function clip(str, limit) {
+    if (str.length <= limit) return str;
+    return str.slice(0, str.lastIndexOf(' ', limit)).replace(/[\s,;:.]+$/, '') + '…';
+}
+
+/**
+ * Pixel size of a PNG or JPEG under the site root, or null.
+ */
+function imageSize(relPath) {
+    const file = fs.readFileSync(path.join(html.ROOT, relPath));
+
+    if (file.toString('ascii', 1, 4) === 'PNG') {
+        return { width: file.readUInt32BE(16), height: file.readUInt32BE(20) };
+    }
+
+    // JPEG: walk the segments to the first start-of-frame marker
+    let offset = 2;
+    while (file[0] === 0xFF && file[1] === 0xD8 && offset < file.length) {
+        const marker = file[offset + 1];
+        if (marker >= 0xC0 && marker <= 0xC3) {
+            return { width: file.readUInt16BE(offset + 7), height: file.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + file.readUInt16BE(offset + 2);
+    }
+    return null;
+}
+
+/**
+ * Site-relative path of the page's social image, checked against the disk.
+ */
+function socialImage(relPath, page) {
+    let image = DEFAULT_IMAGE;
+
+    if (relPath.indexOf('blog/') === 0) {
+        const first = (html.articleBody(page).match(/<img\b[^>]*>/) || [])[0];
+        if (first) image = path.posix.normalize(path.posix.join(path.posix.dirname(relPath), html.attr(first, 'src')));
+    }
+
+    if (!fs.existsSync(path.join(html.ROOT, image))) {
+        note(relPath, 'error', 'social image ' + image + ' does not exist');
+        return null;
+    }
+    return image;
+}
+
+function person() {
+    const about = html.read('about.html');
+    const sameAs = html.byClass(about, 'div', 'footer__social')[0] || '';
+    const host = new URL(site.SITE_URL).hostname;
+
+    return {
+        '@type': 'Person',
+        '@id': PERSON_ID,
+        name: site.AUTHOR,
+        url: site.canonicalUrl('about.html'),
+        image: site.SITE_URL + PORTRAIT,
+        jobTitle: JOB_TITLE,
+        sameAs: (sameAs.match(/href="https?:\/\/[^"]+"/g) || []).map(function (attr) {
+            return attr.slice(6, -1);
+        }).filter(function (url) {
+            // The AI chat lives on a subdomain of this site — not a profile
+            return !new URL(url).hostname.endsWith(host);
+        }),
+    };
+}
+
+function blogPosting(relPath, meta, imageUrl) {
+    const post = posts.read(relPath);
+    if (!post.month) note(relPath, 'error', 'no "Published" or "Date" value like "November 2025" in .blog-meta');
+    if (!post.tags.length) note(relPath, 'warning', 'no tags in .blog-meta__tags');
+
+    return {
+        '@type': 'BlogPosting',
+        '@id': meta.url + '#article',
+        headline: post.title || meta.title,
+        description: meta.description,
+        url: meta.url,
+        mainEntityOfPage: meta.url,
+        datePublished: post.month ? post.month + '-01' : undefined,
+        image: imageUrl,
+        keywords: post.tags.join(', ') || undefined,
+        author: { '@id': PERSON_ID },
+        publisher: { '@id': PERSON_ID },
+        isPartOf: { '@type': 'Blog', name: SITE_NAME + ' — Blog', url: site.canonicalUrl('blog.html') },
+    };
+}
+
+function caseStudies(relPath, page, pageUrl) {
+    return html.elementsByClass(page, 'article', 'case-study-(?:card|feature)').map(function (card) {
+        const id = html.attr(card.open, 'id');
+        const title = html.text(html.byClass(card.inner, 'h[23]', 'case-study-(?:card|feature)__title')[0]);
+        const body = card.inner.split(/class="case-study-(?:card|feature)__body"/)[1] || '';
+        if (!id) note(relPath, 'error', 'case study "' + title + '" needs an id');
+
+        return {
+            '@type': 'CreativeWork',
+            '@id': pageUrl + '#' + id,
+            name: title,
+            url: pageUrl + '#' + id,
+            abstract: clip(html.text(html.firstTag(body, 'p')), CASE_STUDY_SUMMARY),
+            sourceOrganization: { '@type': 'Organization', name: html.text(html.byClass(card.inner, 'span', 'case-study-(?:card|feature)__client')[0]) },
+            keywords: html.byClass(card.inner, 'span', 'tag--small').map(html.text).join(', '),
+            creator: { '@id': PERSON_ID },
+        };
+    });
+}
+
+function structuredData(relPath, page, meta, imageUrl) {
+    let graph = [];
+    if (relPath.indexOf('blog/') === 0) graph = [blogPosting(relPath, meta, imageUrl), person()];
+    if (relPath === 'about.html') graph = [Object.assign(person(), { description: meta.description }), {
+        '@type': 'ProfilePage',
+        url: meta.url,
+        mainEntity: { '@id': PERSON_ID },
+    }];
+    if (relPath === 'salesforce.html') graph = caseStudies(relPath, page, meta.url).concat(person());
+
+    if (!graph.length) return [];
+
+    // Keeps "</script>" in any text from closing the tag early
+    const json = JSON.stringify({ '@context': 'https://schema.org', '@graph': graph }, null, 4)
+        .replace(/</g, '\\u003c');
+    return ['<script type="application/ld+json">'].concat(json.split('\n'), ['</script>']);
+}
+
+function seoBlock(relPath, page, meta) {
+    const image = meta.image;
+    const imageUrl = image ? site.SITE_URL + image : '';
+    const size = image ? imageSize(image) : null;
+    const isPost = relPath.indexOf('blog/') === 0;
+    const post = isPost ? posts.read(relPath) : null;
+
+    const lines = [
+        '<!-- SEO (scripts/build-seo.js): generated from the title and description — edit those and re-run -->',
+        '<link rel="canonical" href="' + meta.url + '">',
+        '<meta property="og:type" content="' + (isPost ? 'article' : 'website') + '">',
+        '<meta property="og:site_name" content="' + SITE_NAME + '">',
+        '<meta property="og:url" content="' + meta.url + '">',
+        '<meta property="og:title" content="' + escapeAttr(meta.title) + '">',
+        '<meta property="og:description" content="' + escapeAttr(meta.description) + '">',
+    ];
+    if (imageUrl) lines.push('<meta property="og:image" content="' + imageUrl + '">');
+    if (size) {
+        lines.push('<meta property="og:image:width" content="' + size.width + '">');
+        lines.push('<meta property="og:image:height" content="' + size.height + '">');
+    }
+    if (post && post.month) lines.push('<meta property="article:published_time" content="' + post.month + '-01">');
+    if (post) {
+        post.tags.forEach(function (tag) {
+            lines.push('<meta property="article:tag" content="' + escapeAttr(tag) + '">');
+        });
+    }
+    lines.push(
+        '<meta name="twitter:card" content="summary_large_image">',
+        '<meta name="twitter:title" content="' + escapeAttr(meta.title) + '">',
+        '<meta name="twitter:description" content="' + escapeAttr(meta.description) + '">'
+    );
+    if (imageUrl) lines.push('<meta name="twitter:image" content="' + imageUrl + '">');
+
+    return lines.concat(structuredData(relPath, page, meta, imageUrl), ['<!-- /SEO -->']).map(function (line) {
+        return '    ' + line;
+    }).join('\n') + '\n';
+}
+
+function check(relPath, page, meta) {
+    if (!meta.title) note(relPath, 'error', 'no <title>');
+    else if (meta.title.length > TITLE_MAX) note(relPath, 'warning', 'title is ' + meta.title.length + ' characters; the limit is ' + TITLE_MAX);
+
+    if (!meta.description) note(relPath, 'error', 'no <meta name="description">');
+    else if (meta.description.length > DESCRIPTION_MAX) note(relPath, 'warning', 'description is ' + meta.description.length + ' characters; the limit is ' + DESCRIPTION_MAX);
+    else if (meta.description.length < DESCRIPTION_MIN) note(relPath, 'warning', 'description is only ' + meta.description.length + ' characters');
+
+    const main = html.firstTag(page, 'main');
+    (main.match(/<img\b[^>]*>/g) || []).forEach(function (img) {
+        if (!/\salt="/.test(img)) note(relPath, 'warning', 'image ' + html.attr(img, 'src') + ' has no alt text');
+    });
+}
+
+/* --- Run --- */
+
+const pages = html.sitePages().filter(function (relPath) {
+    return !/<meta name="robots" content="[^"]*noindex/.test(html.read(relPath));
+});
+
+const updates = pages.map(function (relPath) {
+    const page = html.read(relPath);
+    const meta = {
+        url: site.canonicalUrl(relPath),
+        title: html.text(html.firstTag(page, 'title')),
+        description: html.metaContent(page, 'description'),
+    };
+
+    check(relPath, page, meta);
+    meta.image = socialImage(relPath, page);
+
+    let next = page.replace(BLOCK_PATTERN, '');
+    OWNED_PATTERNS.forEach(function (pattern) {
+        next = next.replace(pattern, '');
+    });
+    next = next.replace(/^ *<meta name="description" content="[^"]*">\n/m, function (line) {
+        return line + seoBlock(relPath, page, meta);
+    });
+
+    return { relPath, page, next, meta };
+});
+
+report.forEach(function (item) {
+    console.log((item.level === 'error' ? '  ✗ ' : '  ! ') + item.relPath + ': ' + item.message);
+});
+
+if (errorCount) {
+    console.error('build-seo: ' + errorCount + ' error(s), nothing written');
+    process.exit(1);
+}
+
+let changed = 0;
+updates.forEach(function (update) {
+    if (update.next === update.page) return;
+    html.write(update.relPath, update.next);
+    changed++;
+});
+
+// Posts change monthly at most; other pages carry no lastmod rather than a made-up one
+const sitemap = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+].concat(updates.slice().sort(function (a, b) {
+    // Home page first, then the order sitePages() gives
+    return (b.relPath === 'index.html') - (a.relPath === 'index.html');
+}).map(function (update) {
+    const post = update.relPath.indexOf('blog/') === 0 ? posts.read(update.relPath) : null;
+    return '  <url><loc>' + update.meta.url + '</loc>' +
+        (post && post.month ? '<lastmod>' + post.month + '-01</lastmod>' : '') + '</url>';
+}), ['</urlset>', '']).join('\n');
+
+html.write('sitemap.xml', sitemap);
+html.write('robots.txt', [
+    'User-agent: *',
+    'Allow: /',
+    'Disallow: /api/',
+    '',
+    'Sitemap: ' + site.SITE_URL + 'sitemap.xml',
+    '',
+].join('\n'));
+
+console.log('build-seo: updated ' + changed + ' of ' + updates.length + ' pages, wrote sitemap.xml and robots.txt' +
+    (report.length ? ' (' + report.length + ' warning(s))' : ''));
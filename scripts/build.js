@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+/* ============================================
+   BUILD — Every generated file, in dependency order
+   ============================================
+   Usage:  node scripts/build.js   (npm run build)
+
+     1. build-pages         src/ → the .html pages
+     2. build-seo           SEO blocks, sitemap.xml, robots.txt
+     3. build-feeds         feed.xml, rss.xml, feed.json
+     4. build-search-index  search-index.json
+
+   The later steps read the pages the first one writes.
+   Each step stops the build on its own errors. Commit
+   everything it changes; the site is served as-is.
+   check.js (npm run check) fails CI when that was missed.
+*/
+
+'use strict';
+
+['build-pages', 'build-seo', 'build-feeds', 'build-search-index'].forEach(function (step) {
+    require('./' + step);
+});
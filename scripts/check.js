@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+/* ============================================
+   CHECK — Generated files match their sources
+   ============================================
+   Usage:  node scripts/check.js   (npm run check)
+
+   Runs the whole build, then asks git whether anything
+   it writes differs from what's committed. Exits 1 and
+   lists the files when it does — someone edited a
+   generated page by hand, or changed src/ without
+   re-running the build.
+
+   Run it on a clean checkout (CI does); local edits to
+   generated files are overwritten by the build.
+*/
+
+'use strict';
+
+const childProcess = require('child_process');
+const path = require('path');
+const html = require('./lib/html');
+
+function git(args) {
+    return childProcess.execFileSync('git', args, { cwd: html.ROOT, encoding: 'utf8' });
+}
+
+childProcess.execFileSync(process.execPath, [path.join(__dirname, 'build.js')], { stdio: 'inherit' });
+
+const drift = git(['status', '--porcelain', '--untracked-files=all']).split('\n').filter(Boolean);
+
+if (drift.length) {
+    console.error('check: the build changed files that should already be up to date:');
+    drift.forEach(function (line) { console.error('  ' + line); });
+    console.error('Run `node scripts/build.js` and commit the result.');
+    process.exit(1);
+}
+
+console.log('check: generated files match src/');
@@ -0,0 +1,146 @@
+/* ============================================
+   HTML — Tiny helpers for reading the site's pages
+   ============================================
+   The pages are hand-written and regular, so a few
+   regexes go a long way. These are not a general HTML
+   parser: they assume well-formed, non-nested matches
+   for the classes they're asked about.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+const ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    mdash: '—', ndash: '–', hellip: '…', middot: '·', rarr: '→', larr: '←',
+    rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', times: '×', copy: '©',
+};
+
+function decodeEntities(str) {
+    return str.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, function (match, code) {
+        if (code[0] === '#') {
+            const n = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return String.fromCodePoint(n);
+        }
+        return ENTITIES[code.toLowerCase()] !== undefined ? ENTITIES[code.toLowerCase()] : match;
+    });
+}
+
+/**
+ * Strip tags and collapse whitespace.
+ */
+function text(html) {
+    return decodeEntities(String(html || '')
+        .replace(/<script[\s\S]*?<\/script>/gi, ' ')
+        .replace(/<style[\s\S]*?<\/style>/gi, ' ')
+        .replace(/<[^>]+>/g, ' '))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Inner HTML of every `<tag ...class="... cls ...">` up to the matching
+ * close tag of the same name (same-tag nesting inside is not supported).
+ */
+function byClass(html, tag, cls) {
+    const pattern = new RegExp('<' + tag + '\\b[^>]*class="[^"]*\\b' + cls + '\\b[^"]*"[^>]*>([\\s\\S]*?)<\\/' + tag + '>', 'gi');
+    const out = [];
+    let match;
+    while ((match = pattern.exec(html))) out.push(match[1]);
+    return out;
+}
+
+/**
+ * Like byClass but returns the opening tag too, so attributes can be read.
+ */
+function elementsByClass(html, tag, cls) {
+    const pattern = new RegExp('(<' + tag + '\\b[^>]*class="[^"]*\\b' + cls + '\\b[^"]*"[^>]*>)([\\s\\S]*?)<\\/' + tag + '>', 'gi');
+    const out = [];
+    let match;
+    while ((match = pattern.exec(html))) out.push({ open: match[1], inner: match[2] });
+    return out;
+}
+
+function attr(openTag, name) {
+    const match = openTag.match(new RegExp('\\s' + name + '="([^"]*)"', 'i'));
+    return match ? decodeEntities(match[1]) : '';
+}
+
+function firstTag(html, tag) {
+    const match = html.match(new RegExp('<' + tag + '\\b[^>]*>([\\s\\S]*?)<\\/' + tag + '>', 'i'));
+    return match ? match[1] : '';
+}
+
+function metaContent(html, name) {
+    const match = html.match(new RegExp('<meta\\s+(?:name|property)="' + name + '"\\s+content="([^"]*)"', 'i'));
+    return match ? decodeEntities(match[1]) : '';
+}
+
+function slugify(str) {
+    return str.toLowerCase()
+        .replace(/&[a-z]+;/g, ' ')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * The post body from a blog page: the .blog-article element without
+ * the back link, the meta bar (date, read time, tags) and the related
+ * posts and previous/next links that follow the writing.
+ */
+function articleBody(page) {
+    return (byClass(page, 'article', 'blog-article')[0] || '')
+        .replace(/<(?:div class="related-posts"|nav class="post-nav")[\s\S]*$/, '')
+        .replace(/<a [^>]*class="blog-back"[\s\S]*?<\/a>/, '')
+        .replace(/<div class="blog-meta">[\s\S]*?<div class="blog-meta__tags">[\s\S]*?<\/div>\s*<\/div>/, '');
+}
+
+function read(relPath) {
+    return fs.readFileSync(path.join(ROOT, relPath), 'utf8');
+}
+
+function write(relPath, contents) {
+    fs.writeFileSync(path.join(ROOT, relPath), contents);
+}
+
+/**
+ * Relative paths of every blog post, alphabetical.
+ */
+function blogPosts() {
+    return fs.readdirSync(path.join(ROOT, 'blog'))
+        .filter(function (file) { return file.endsWith('.html'); })
+        .sort()
+        .map(function (file) { return 'blog/' + file; });
+}
+
+/**
+ * Relative paths of every page on the site: the root pages
+ * (alphabetical) followed by the blog posts.
+ */
+function sitePages() {
+    return fs.readdirSync(ROOT)
+        .filter(function (file) { return file.endsWith('.html'); })
+        .sort()
+        .concat(blogPosts());
+}
+
+module.exports = {
+    ROOT,
+    articleBody,
+    attr,
+    blogPosts,
+    byClass,
+    decodeEntities,
+    elementsByClass,
+    firstTag,
+    metaContent,
+    read,
+    sitePages,
+    slugify,
+    text,
+    write,
+};
@@ -0,0 +1,70 @@
+/* ============================================
+   POSTS — Reading blog posts for the build scripts
+   ============================================
+   A post is blog/<slug>.html. Its fields come from the
+   page itself: the <h1>, the meta description, the
+   .blog-meta bar (date and tags) and the .blog-article
+   body. Callers decide which missing fields are fatal.
+   The blog-meta readers also work on a post's source in
+   src/pages/blog/, which build-pages.js relies on.
+*/
+
+'use strict';
+
+const html = require('./html');
+const site = require('./site');
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * The blog-meta date as written — "November 2025". Older posts
+ * label it "Date" rather than "Published".
+ */
+function publishedValue(page) {
+    const match = page.match(/blog-meta__label">(?:Published|Date)<\/span>\s*<span class="blog-meta__value">([^<]*)</);
+    return match ? html.text(match[1]) : '';
+}
+
+/**
+ * The blog-meta read time in minutes — "12 min", or "~11 min"
+ * under the shorter "Read" label. 0 when there isn't one.
+ */
+function readTime(page) {
+    const match = page.match(/blog-meta__label">Read(?: Time)?<\/span>\s*<span class="blog-meta__value">[^<\d]*(\d+)/);
+    return match ? parseInt(match[1], 10) : 0;
+}
+
+/**
+ * "November 2025" → "2025-11". Empty when it doesn't parse.
+ */
+function publishedMonth(value) {
+    const match = value.match(/^([A-Z][a-z]+) (\d{4})$/);
+    const month = match ? MONTHS.indexOf(match[1]) : -1;
+    return month === -1 ? '' : match[2] + '-' + String(month + 1).padStart(2, '0');
+}
+
+function read(relPath) {
+    const page = html.read(relPath);
+    const published = publishedValue(page);
+
+    return {
+        relPath: relPath,
+        page: page,
+        slug: relPath.replace(/^blog\//, '').replace(/\.html$/, ''),
+        url: site.canonicalUrl(relPath),
+        title: html.text(html.firstTag(page, 'h1')),
+        summary: html.metaContent(page, 'description'),
+        body: html.articleBody(page),
+        tags: html.byClass(html.byClass(page, 'div', 'blog-meta__tags')[0] || '', 'span', 'tag--small').map(html.text),
+        published: published,
+        month: publishedMonth(published),
+    };
+}
+
+module.exports = {
+    publishedMonth,
+    publishedValue,
+    read,
+    readTime,
+};
@@ -0,0 +1,42 @@
+/* ============================================
+   SITE — Where the site lives and who writes it
+   ============================================
+   Shared by the build scripts that emit absolute URLs
+   (feeds, sitemap, canonical and social tags). Pages are
+   served without their .html extension, matching the
+   og:url values the pages have always used.
+
+   NAV is the site's sections in menu order. build-pages.js
+   renders the nav, the mobile menu and the footer links
+   from it, so a new section is one entry here (plus its
+   page under src/pages/).
+*/
+
+'use strict';
+
+const SITE_URL = 'https://azlanallahwala.com/';
+const AUTHOR = 'Azlan Allahwala';
+
+const NAV = [
+    { section: 'salesforce', label: 'Salesforce', href: 'salesforce.html' },
+    { section: 'ai-lab', label: 'AI Lab', href: 'ai-lab.html' },
+    { section: 'blog', label: 'Blog', href: 'blog.html' },
+    { section: 'photography', label: 'Photography', href: 'photography.html' },
+    { section: 'about', label: 'About', href: 'about.html' },
+    { section: 'contact', label: 'Contact', href: 'contact.html', accent: true },
+];
+
+/**
+ * Canonical URL for a page's path relative to the site root:
+ * index.html → /, about.html → /about, blog/x.html → /blog/x.
+ */
+function canonicalUrl(relPath) {
+    return SITE_URL + relPath.replace(/(^|\/)index\.html$/, '$1').replace(/\.html$/, '');
+}
+
+module.exports = {
+    AUTHOR,
+    NAV,
+    SITE_URL,
+    canonicalUrl,
+};
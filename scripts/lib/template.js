@@ -0,0 +1,114 @@
+/* ============================================
+   TEMPLATE — Front-matter and a very small template language
+   ============================================
+   Used by build-pages.js to render src/pages/ through
+   src/layout.html and src/partials/.
+
+   A page source starts with front-matter, one key per line:
+
+     ---
+     title: About — Azlan Allahwala
+     section: about
+     tags: Apex, Flow
+     ---
+
+   `tags` is split on commas; everything else stays a string.
+   The rest of the file is the page content, except for two
+   optional fenced blocks that the layout places elsewhere:
+
+     <!-- head --> … <!-- /head -->        extra <head> content
+     <!-- scripts --> … <!-- /scripts -->  scripts after main.js
+
+   Templates know three tags:
+
+     {{name}}              the value, inserted as-is (it's HTML)
+     {{> name}}            src/partials/name.html
+     {{#name}}…{{/name}}   once if the value is truthy, once per
+                           item if it's an array (the item's
+                           fields, or {{item}}, are in scope);
+                           an object's fields are in scope too
+
+   A section tag alone on its line takes the line with it, so
+   optional blocks don't leave blank lines behind. A name that
+   isn't in scope is an error rather than an empty string.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const html = require('./html');
+
+const SRC = path.join(html.ROOT, 'src');
+
+const FRONT_MATTER_PATTERN = /^---\n([\s\S]*?)\n---\n/;
+const BLOCK_NAMES = ['head', 'scripts'];
+const TAG_PATTERN = /\{\{#([\w-]+)\}\}([\s\S]*?)\{\{\/\1\}\}|\{\{>\s*([\w-]+)\s*\}\}|\{\{([\w-]+)\}\}/g;
+const STANDALONE_PATTERN = /^[ \t]*(\{\{[#/][\w-]+\}\})[ \t]*\n/gm;
+
+function read(relPath) {
+    return fs.readFileSync(path.join(SRC, relPath), 'utf8').replace(/\n$/, '');
+}
+
+/**
+ * Split a page source into { data, content, head, scripts }.
+ */
+function parse(source) {
+    const match = source.match(FRONT_MATTER_PATTERN);
+    const data = {};
+    let content = match ? source.slice(match[0].length) : source;
+
+    if (match) {
+        match[1].split('\n').forEach(function (line) {
+            const pair = line.match(/^([\w-]+):\s*(.*)$/);
+            if (!pair) return;
+            data[pair[1]] = pair[1] === 'tags'
+                ? pair[2].split(',').map(function (tag) { return tag.trim(); }).filter(Boolean)
+                : pair[2].trim();
+        });
+    }
+
+    const page = { data };
+    BLOCK_NAMES.forEach(function (name) {
+        const pattern = new RegExp('^[ \\t]*<!-- ' + name + ' -->\\n([\\s\\S]*?)^[ \\t]*<!-- \\/' + name + ' -->\\n?', 'm');
+        const block = content.match(pattern);
+        page[name] = block ? block[1].replace(/\n$/, '') : '';
+        if (block) content = content.replace(pattern, '');
+    });
+    page.content = content.replace(/^\n+|\n+$/g, '');
+    return page;
+}
+
+function lookup(context, name) {
+    if (!(name in context)) throw new Error('template: {{' + name + '}} is not defined');
+    return context[name];
+}
+
+/**
+ * Render a template string against `context`.
+ */
+function render(template, context) {
+    // One pass, so inserted values are never read as tags themselves
+    return template.replace(STANDALONE_PATTERN, '$1').replace(TAG_PATTERN, function (match, section, inner, partial, name) {
+        // A partial ending in a section would otherwise leave a blank line
+        if (partial) return render(read(path.join('partials', partial + '.html')), context).replace(/\n$/, '');
+        if (name) return String(lookup(context, name));
+
+        const value = lookup(context, section);
+        if (Array.isArray(value)) {
+            return value.map(function (item) {
+                const scope = item && typeof item === 'object' ? item : { item: item };
+                return render(inner, Object.assign({}, context, scope));
+            }).join('');
+        }
+        if (!value) return '';
+        return render(inner, typeof value === 'object' ? Object.assign({}, context, value) : context);
+    });
+}
+
+module.exports = {
+    SRC,
+    parse,
+    read,
+    render,
+};
@@ -0,0 +1,421 @@
+/* ============================================
+   SW.JS — Offline support (service worker)
+   ============================================
+   Registered by main.js (OFFLINE) with the site root
+   as its scope.
+
+   Caches:
+     shell-<version>  — precached on install: stylesheets,
+                        main.js, icons, the manifest,
+                        offline.html and the Google Fonts
+                        stylesheet with its latin font files.
+                        Site files come from the network
+                        first so a deploy shows up at once,
+                        the cached copy only when offline;
+                        fonts are served from cache.
+     pages-<version>  — blog posts, kept once visited and
+                        served stale-while-revalidate; the
+                        newest POSTS_CACHE_LIMIT are kept.
+
+   Page navigations that fail and have no cached copy get
+   offline.html instead of the browser's error page.
+
+   POST /api/contact without a connection: the JSON body is
+   queued in IndexedDB and the page gets
+     202 { ok: true, queued: true, id }
+   which submitInquiry() reports as 'queued'. The queue is
+   replayed on Background Sync (SYNC_TAG) where supported
+   and whenever a page posts { type: 'flush-contact-queue' }
+   (main.js does on load and when it comes back online).
+
+   A replay the Worker turns down for good (invalid,
+   rejected, 403, ...) stays in the queue marked `failed`
+   and is no longer sent. After every flush the open pages
+   get
+     { type: 'contact-queue-failed', entries: [{ id, queuedAt, body, status, message }] }
+   and main.js (OFFLINE) keeps showing it until the visitor
+   posts { type: 'dismiss-contact-failure', id }.
+
+   Bump CACHE_VERSION when the shell list changes; activate
+   drops every cache from older versions.
+*/
+
+'use strict';
+
+var CACHE_VERSION = 'v1';
+var SHELL_CACHE = 'shell-' + CACHE_VERSION;
+var PAGES_CACHE = 'pages-' + CACHE_VERSION;
+var POSTS_CACHE_LIMIT = 40;
+
+var SHELL_ASSETS = [
+    'styles.css',
+    'animations.css',
+    'atmosphere.css',
+    'main.js',
+    'favicon.svg',
+    'images/apple-touch-icon.png',
+    'manifest.webmanifest',
+    'offline.html',
+];
+var OFFLINE_PAGE = 'offline.html';
+
+// Same URL every page links; keep in sync with src/partials/head.html
+var FONTS_CSS = 'https://fonts.googleapis.com/css2?family=Playfair+Display:ital,wght@0,400;0,500;0,600;0,700;0,800;1,400;1,500;1,600&family=Inter:wght@300;400;500;600;700&family=JetBrains+Mono:wght@400;500&display=swap';
+var FONT_ORIGINS = ['https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
+
+var CONTACT_PATH = '/api/contact';
+var QUEUE_DB = 'offline-queue';
+var QUEUE_STORE = 'contact';
+var SYNC_TAG = 'contact-queue';
+
+function scoped(path) {
+    return new URL(path, self.registration.scope).href;
+}
+
+var SHELL_URLS = SHELL_ASSETS.map(scoped);
+
+/* --- Install / activate --- */
+
+// Only the latin subsets: the other unicode ranges load (and get
+// cached) on demand if a page ever needs them
+function precacheFonts(cache) {
+    return fetch(FONTS_CSS).then(function (response) {
+        if (!response.ok) throw new Error('Fonts stylesheet unavailable');
+        return response.clone().text().then(function (css) {
+            var blocks = css.match(/\/\* latin \*\/\s*@font-face\s*\{[^}]*\}/g) || [];
+            var urls = blocks.map(function (block) {
+                return (block.match(/url\(([^)]+)\)/) || [])[1];
+            }).filter(Boolean);
+            return Promise.all([cache.put(FONTS_CSS, response)].concat(urls.map(function (url) {
+                return cache.add(url);
+            })));
+        });
+    });
+}
+
+self.addEventListener('install', function (event) {
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(function (cache) {
+            return cache.addAll(SHELL_URLS).then(function () {
+                // Fonts are a bonus — a blocked Google Fonts mustn't fail the install
+                return precacheFonts(cache).catch(function () { /* system fonts offline */ });
+            });
+        }).then(function () {
+            return self.skipWaiting();
+        })
+    );
+});
+
+self.addEventListener('activate', function (event) {
+    event.waitUntil(
+        caches.keys().then(function (keys) {
+            return Promise.all(keys.filter(function (key) {
+                return key !== SHELL_CACHE && key !== PAGES_CACHE;
+            }).map(function (key) {
+                return caches.delete(key);
+            }));
+        }).then(function () {
+            return self.clients.claim();
+        })
+    );
+});
+
+/* --- Caching strategies --- */
+
+// Cached responses are replayed for navigations, which refuse
+// responses marked as redirected — store a plain copy instead
+function storable(response) {
+    if (!response.redirected) return Promise.resolve(response);
+    return response.blob().then(function (body) {
+        return new Response(body, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers,
+        });
+    });
+}
+
+function trimCache(cacheName, limit) {
+    return caches.open(cacheName).then(function (cache) {
+        return cache.keys().then(function (keys) {
+            return Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(function (key) {
+                return cache.delete(key);
+            }));
+        });
+    });
+}
+
+/**
+ * Answer from `cacheName` under `key` when there's a copy and refresh
+ * it in the background; otherwise wait for the network (and keep it).
+ */
+function staleWhileRevalidate(event, cacheName, key, limit) {
+    return caches.open(cacheName).then(function (cache) {
+        return cache.match(key).then(function (cached) {
+            var network = fetch(event.request).then(function (response) {
+                if (!response.ok) return response;
+                return storable(response.clone()).then(function (copy) {
+                    return cache.put(key, copy);
+                }).then(function () {
+                    return limit ? trimCache(cacheName, limit) : null;
+                }).then(function () {
+                    return response;
+                });
+            });
+
+            if (!cached) return network;
+            event.waitUntil(network.catch(function () { /* offline — the cached copy stands */ }));
+            return cached;
+        });
+    });
+}
+
+/**
+ * Fetch and keep a fresh copy under `key`; fall back to the
+ * cached one only when the network fails.
+ */
+function networkFirst(request, cacheName, key) {
+    return caches.open(cacheName).then(function (cache) {
+        return fetch(request).then(function (response) {
+            if (!response.ok) return response;
+            return storable(response.clone()).then(function (copy) {
+                return cache.put(key, copy);
+            }).then(function () {
+                return response;
+            });
+        }, function (err) {
+            return cache.match(key).then(function (cached) {
+                if (cached) return cached;
+                throw err;
+            });
+        });
+    });
+}
+
+function cacheFirst(request, cacheName) {
+    return caches.open(cacheName).then(function (cache) {
+        return cache.match(request).then(function (cached) {
+            return cached || fetch(request).then(function (response) {
+                // Cross-origin font files come back opaque (status 0) without CORS
+                if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+                return response;
+            });
+        });
+    });
+}
+
+function offlinePage() {
+    return caches.match(scoped(OFFLINE_PAGE)).then(function (page) {
+        return page || Response.error();
+    });
+}
+
+// Blog posts — /blog/<slug>.html, or /blog/<slug> where the host
+// drops the extension. Both share one cache entry.
+function postKey(url) {
+    if (url.pathname.indexOf('/blog/') === -1 || /\/blog\/?$/.test(url.pathname)) return '';
+    return url.origin + url.pathname.replace(/\.html$/, '');
+}
+
+self.addEventListener('fetch', function (event) {
+    var request = event.request;
+    var url = new URL(request.url);
+
+    if (request.method === 'POST' && url.origin === self.location.origin && url.pathname === CONTACT_PATH) {
+        event.respondWith(sendOrQueue(request));
+        return;
+    }
+
+    if (request.method !== 'GET') return;
+
+    if (FONT_ORIGINS.indexOf(url.origin) !== -1) {
+        event.respondWith(cacheFirst(request, SHELL_CACHE));
+        return;
+    }
+
+    if (url.origin !== self.location.origin || url.pathname.indexOf('/api/') === 0) return;
+
+    var navigate = request.mode === 'navigate';
+    var post = postKey(url);
+
+    if (post) {
+        event.respondWith(staleWhileRevalidate(event, PAGES_CACHE, post, POSTS_CACHE_LIMIT).catch(function () {
+            // Page transitions fetch() posts; their failure falls back to a real navigation
+            return navigate ? offlinePage() : Response.error();
+        }));
+        return;
+    }
+
+    if (SHELL_URLS.indexOf(url.origin + url.pathname) !== -1) {
+        event.respondWith(networkFirst(request, SHELL_CACHE, url.origin + url.pathname));
+        return;
+    }
+
+    if (navigate) {
+        event.respondWith(fetch(request).catch(offlinePage));
+    }
+});
+
+/* --- Offline contact queue (IndexedDB) --- */
+
+function openQueue() {
+    return new Promise(function (resolve, reject) {
+        var open = indexedDB.open(QUEUE_DB, 1);
+        open.onupgradeneeded = function () {
+            open.result.createObjectStore(QUEUE_STORE, { keyPath: 'id' });
+        };
+        open.onsuccess = function () { resolve(open.result); };
+        open.onerror = function () { reject(open.error); };
+    });
+}
+
+// Runs `work(store)` in one transaction; resolves with the
+// result of the IDBRequest it returns once the transaction commits
+function withQueue(mode, work) {
+    return openQueue().then(function (db) {
+        return new Promise(function (resolve, reject) {
+            var tx = db.transaction(QUEUE_STORE, mode);
+            var req = work(tx.objectStore(QUEUE_STORE));
+            tx.oncomplete = function () {
+                db.close();
+                resolve(req ? req.result : undefined);
+            };
+            tx.onerror = tx.onabort = function () {
+                db.close();
+                reject(tx.error);
+            };
+        });
+    });
+}
+
+function sendOrQueue(request) {
+    var body = request.clone().text();
+
+    return fetch(request).catch(function (err) {
+        return body.then(function (text) {
+            var entry = { id: self.crypto.randomUUID(), body: text, queuedAt: Date.now() };
+            return withQueue('readwrite', function (store) {
+                return store.put(entry);
+            }).then(function () {
+                if (self.registration.sync) {
+                    self.registration.sync.register(SYNC_TAG).catch(function () { /* flushed on 'online' instead */ });
+                }
+                return new Response(JSON.stringify({ ok: true, queued: true, id: entry.id }), {
+                    status: 202,
+                    headers: { 'Content-Type': 'application/json; charset=utf-8' },
+                });
+            });
+        }).catch(function () {
+            // Couldn't queue either — let the page fall back to mailto
+            throw err;
+        });
+    });
+}
+
+var flushing = null;
+
+// The Worker's message for a reply that won't succeed on retry
+function failureOf(response) {
+    return response.json().catch(function () { return null; }).then(function (data) {
+        return {
+            status: response.status,
+            message: data && typeof data.message === 'string' ? data.message : 'The message was turned down.',
+        };
+    });
+}
+
+/**
+ * Replay queued submissions in order. Server errors and rate limits
+ * stay queued for the next attempt; a sent entry is deleted and any
+ * other answer marks the entry failed, to be shown to the visitor.
+ * Rejects when the network is still down, so Background Sync retries.
+ */
+function flushQueue() {
+    if (flushing) return flushing;
+
+    flushing = withQueue('readonly', function (store) {
+        return store.getAll();
+    }).then(function (entries) {
+        return entries.filter(function (entry) {
+            return !entry.failed;
+        }).sort(function (a, b) {
+            return a.queuedAt - b.queuedAt;
+        }).reduce(function (chain, entry) {
+            return chain.then(function () {
+                return fetch(CONTACT_PATH, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                    body: entry.body,
+                }).then(function (response) {
+                    if (response.status >= 500 || response.status === 429) return null;
+                    if (response.ok) {
+                        return withQueue('readwrite', function (store) {
+                            return store.delete(entry.id);
+                        });
+                    }
+                    return failureOf(response).then(function (failed) {
+                        entry.failed = failed;
+                        return withQueue('readwrite', function (store) {
+                            return store.put(entry);
+                        });
+                    });
+                });
+            });
+        }, Promise.resolve());
+    });
+
+    flushing.then(function () { flushing = null; }, function () { flushing = null; });
+    return flushing;
+}
+
+/**
+ * Tell every open page about the entries that failed for good.
+ */
+function reportFailures() {
+    return withQueue('readonly', function (store) {
+        return store.getAll();
+    }).then(function (entries) {
+        var failed = entries.filter(function (entry) {
+            return entry.failed;
+        }).map(function (entry) {
+            return {
+                id: entry.id,
+                queuedAt: entry.queuedAt,
+                body: entry.body,
+                status: entry.failed.status,
+                message: entry.failed.message,
+            };
+        });
+        if (!failed.length) return null;
+
+        return self.clients.matchAll({ type: 'window' }).then(function (clients) {
+            clients.forEach(function (client) {
+                client.postMessage({ type: 'contact-queue-failed', entries: failed });
+            });
+        });
+    });
+}
+
+function flushAndReport() {
+    return flushQueue().then(reportFailures, function (err) {
+        // Still offline — earlier failures are worth showing all the same
+        return reportFailures().then(function () { throw err; });
+    });
+}
+
+self.addEventListener('sync', function (event) {
+    if (event.tag === SYNC_TAG) event.waitUntil(flushAndReport());
+});
+
+self.addEventListener('message', function (event) {
+    var data = event.data || {};
+
+    if (data.type === 'flush-contact-queue') {
+        event.waitUntil(flushAndReport().catch(function () { /* still offline — next time */ }));
+    }
+    if (data.type === 'dismiss-contact-failure' && typeof data.id === 'string') {
+        event.waitUntil(withQueue('readwrite', function (store) {
+            return store.delete(data.id);
+        }).catch(function () { /* shown again next load */ }));
+    }
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const template = require('../scripts/lib/template');
+
+test('parse reads front-matter, splitting only tags on commas', function () {
+    const page = template.parse('---\ntitle: About, me\nsection: about\ntags: Apex, Flow ,\n---\n\n<main>Hi</main>\n');
+    assert.deepEqual(page.data, { title: 'About, me', section: 'about', tags: ['Apex', 'Flow'] });
+    assert.equal(page.content, '<main>Hi</main>');
+});
+
+test('parse lifts the head and scripts blocks out of the content', function () {
+    const page = template.parse([
+        '---', 'title: T', '---',
+        '    <!-- head -->', '    <style></style>', '    <!-- /head -->',
+        '<main></main>',
+        '    <!-- scripts -->', '    <script></script>', '    <!-- /scripts -->',
+        '',
+    ].join('\n'));
+    assert.equal(page.head, '    <style></style>');
+    assert.equal(page.scripts, '    <script></script>');
+    assert.equal(page.content, '<main></main>');
+});
+
+test('parse leaves a source without front-matter as content', function () {
+    const page = template.parse('<p>plain</p>');
+    assert.deepEqual(page.data, {});
+    assert.equal(page.content, '<p>plain</p>');
+    assert.equal(page.head, '');
+});
+
+test('render inserts values as HTML without reading them as tags', function () {
+    assert.equal(template.render('<h1>{{title}}</h1>', { title: 'A &amp; {{b}}' }), '<h1>A &amp; {{b}}</h1>');
+});
+
+test('render throws on a name that is not in scope', function () {
+    assert.throws(function () {
+        template.render('{{missing}}', {});
+    }, /\{\{missing\}\} is not defined/);
+});
+
+test('render sections: falsy, truthy, arrays and objects', function () {
+    assert.equal(template.render('[{{#on}}x{{/on}}]', { on: '' }), '[]');
+    assert.equal(template.render('[{{#on}}x{{/on}}]', { on: true }), '[x]');
+    assert.equal(template.render('{{#tags}}<{{item}}>{{/tags}}', { tags: ['a', 'b'] }), '<a><b>');
+    assert.equal(template.render('{{#cards}}{{slug}}/{{root}} {{/cards}}', {
+        root: '../',
+        cards: [{ slug: 'one' }, { slug: 'two' }],
+    }), 'one/../ two/../ ');
+    assert.equal(template.render('{{#prev}}{{title}}{{/prev}}', { prev: { title: 'Older' } }), 'Older');
+});
+
+test('a section tag alone on its line takes the line with it', function () {
+    const out = template.render('<ul>\n    {{#items}}\n    <li>{{item}}</li>\n    {{/items}}\n</ul>\n', { items: ['a'] });
+    assert.equal(out, '<ul>\n    <li>a</li>\n</ul>\n');
+    assert.equal(template.render('a\n{{#none}}\nb\n{{/none}}\nc', { none: false }), 'a\nc');
+});
+
+test('partials render from src/partials with the caller\'s scope', function () {
+    assert.equal(template.render('<div>{{> post-footer}}</div>', { related: '', postNav: '' }), '<div></div>');
+    const footer = template.render('{{> post-footer}}', {
+        related: '',
+        postNav: { prev: { slug: 'older', title: 'Older post' }, next: '' },
+    });
+    assert.match(footer, /href="older\.html" rel="prev"/);
+    assert.doesNotMatch(footer, /rel="next"/);
+    assert.doesNotMatch(footer, /\n$/);
+});
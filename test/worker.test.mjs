@@ -0,0 +1,178 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { handleContact, validate } from '../worker/contact.js';
+import { MIN_SUBMIT_MS, checkRateLimit, isHoneypotTripped, isTooFast, junkReason } from '../worker/guard.js';
+
+function memoryKV() {
+    const data = new Map();
+    return {
+        data,
+        get: async (key) => (data.has(key) ? data.get(key) : null),
+        put: async (key, value) => { data.set(key, value); },
+    };
+}
+
+// Mid-window, so a test never straddles two rate-limit windows
+const NOW = Date.UTC(2026, 0, 1, 12, 0, 30);
+
+const brokenKV = {
+    get: async () => { throw new Error('KV unavailable'); },
+    put: async () => { throw new Error('KV unavailable'); },
+};
+
+function fields(overrides) {
+    return Object.assign({
+        name: 'Ada Lovelace',
+        email: 'ada@example.com',
+        company: '', projectType: '', budget: '', timeline: '',
+        message: 'We need help with our Service Cloud rollout.',
+        work: '', source: '',
+    }, overrides);
+}
+
+function post(body, ip = '203.0.113.7') {
+    return new Request('https://example.com/api/contact', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': ip },
+        body: JSON.stringify(body),
+    });
+}
+
+function submission(overrides) {
+    return Object.assign({ website: '', elapsedMs: MIN_SUBMIT_MS + 5000 }, fields(overrides));
+}
+
+/* --- validate --- */
+
+test('validate accepts a complete inquiry', function () {
+    assert.deepEqual(validate(fields()), {});
+});
+
+test('validate wants a name and a well-formed email', function () {
+    const errors = validate(fields({ name: '', email: 'ada@example' }));
+    assert.deepEqual(Object.keys(errors).sort(), ['email', 'name']);
+    assert.match(validate(fields({ email: '' })).email, /add an email/);
+});
+
+test('validate takes either a message or the kind of work', function () {
+    assert.ok(validate(fields({ message: '' })).message);
+    assert.deepEqual(validate(fields({ message: '', work: 'Salesforce build' })), {});
+});
+
+test('validate enforces the field length limits', function () {
+    assert.match(validate(fields({ message: 'x'.repeat(5001) })).message, /under 5000 characters/);
+    assert.deepEqual(validate(fields({ message: 'x'.repeat(5000) })), {});
+});
+
+/* --- guard --- */
+
+test('isHoneypotTripped only fires on a filled-in website field', function () {
+    assert.equal(isHoneypotTripped({ website: '' }), false);
+    assert.equal(isHoneypotTripped({ website: '   ' }), false);
+    assert.equal(isHoneypotTripped({}), false);
+    assert.equal(isHoneypotTripped({ website: 'http://spam.example' }), true);
+});
+
+test('isTooFast treats missing or short timings as a bot', function () {
+    assert.equal(isTooFast({}), true);
+    assert.equal(isTooFast({ elapsedMs: 'soon' }), true);
+    assert.equal(isTooFast({ elapsedMs: MIN_SUBMIT_MS - 1 }), true);
+    assert.equal(isTooFast({ elapsedMs: MIN_SUBMIT_MS }), false);
+});
+
+test('junkReason flags link floods, link markup and links in names', function () {
+    assert.equal(junkReason(fields()), '');
+    assert.equal(junkReason(fields({ message: 'See https://a.example and www.b.example' })), '');
+    assert.match(junkReason(fields({ message: 'http://a.example http://b.example http://c.example' })), /links to 2/);
+    assert.match(junkReason(fields({ message: 'Buy [url=http://a.example]now[/url]' })), /plain text/);
+    assert.match(junkReason(fields({ name: 'www.spam.example' })), /Names/);
+});
+
+test('checkRateLimit counts per IP and scope within the window', async function (t) {
+    t.mock.method(Date, 'now', () => NOW);
+    const env = { RATE_LIMITS: memoryKV() };
+    const limit = { max: 2, windowSeconds: 60 };
+    const request = post({});
+
+    assert.equal((await checkRateLimit(request, env, 'test', limit)).limited, false);
+    assert.equal((await checkRateLimit(request, env, 'test', limit)).limited, false);
+    const third = await checkRateLimit(request, env, 'test', limit);
+    assert.equal(third.limited, true);
+    assert.equal(third.retryAfter, 30);
+
+    assert.equal((await checkRateLimit(request, env, 'other', limit)).limited, false);
+    assert.equal((await checkRateLimit(post({}, '198.51.100.1'), env, 'test', limit)).limited, false);
+});
+
+test('checkRateLimit allows everything without a RATE_LIMITS binding', async function () {
+    assert.deepEqual(await checkRateLimit(post({}), {}, 'test'), { limited: false, retryAfter: 0 });
+});
+
+/* --- handleContact --- */
+
+test('handleContact stores a valid submission', async function () {
+    const env = { CONTACT_SUBMISSIONS: memoryKV(), RATE_LIMITS: memoryKV() };
+    const response = await handleContact(post(submission()), env);
+    const data = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(data.ok, true);
+    const stored = JSON.parse([...env.CONTACT_SUBMISSIONS.data.values()][0]);
+    assert.equal(stored.id, data.id);
+    assert.equal(stored.name, 'Ada Lovelace');
+    assert.equal('website' in stored, false);
+});
+
+test('handleContact answers bots with a fake success and stores nothing', async function () {
+    const env = { CONTACT_SUBMISSIONS: memoryKV() };
+    const response = await handleContact(post(submission({ website: 'http://spam.example' })), env);
+
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).ok, true);
+    assert.equal(env.CONTACT_SUBMISSIONS.data.size, 0);
+});
+
+test('handleContact reports invalid fields, fast submits and junk as 400s', async function () {
+    const env = { CONTACT_SUBMISSIONS: memoryKV() };
+
+    const invalid = await handleContact(post(submission({ email: 'nope' })), env);
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(Object.keys((await invalid.json()).fields), ['email']);
+
+    const fast = await handleContact(post(submission({ elapsedMs: 10 })), env);
+    assert.equal((await fast.json()).error, 'too_fast');
+
+    const junk = await handleContact(post(submission({ name: 'http://spam.example' })), env);
+    assert.equal((await junk.json()).error, 'rejected');
+
+    assert.equal(env.CONTACT_SUBMISSIONS.data.size, 0);
+});
+
+test('handleContact rate-limits only submissions that pass validation', async function (t) {
+    t.mock.method(Date, 'now', () => NOW);
+    const env = { CONTACT_SUBMISSIONS: memoryKV(), RATE_LIMITS: memoryKV() };
+
+    for (let i = 0; i < 3; i++) await handleContact(post(submission({ email: 'typo' })), env);
+    for (let i = 0; i < 5; i++) assert.equal((await handleContact(post(submission()), env)).status, 200);
+
+    const limited = await handleContact(post(submission()), env);
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('Retry-After')) > 0);
+});
+
+test('handleContact still saves the message when the rate limiter fails', async function () {
+    const env = { CONTACT_SUBMISSIONS: memoryKV(), RATE_LIMITS: brokenKV };
+    const response = await handleContact(post(submission()), env);
+
+    assert.equal(response.status, 200);
+    assert.equal(env.CONTACT_SUBMISSIONS.data.size, 1);
+});
+
+test('handleContact rejects other methods and non-JSON bodies', async function () {
+    const get = await handleContact(new Request('https://example.com/api/contact'), {});
+    assert.equal(get.status, 405);
+
+    const text = await handleContact(new Request('https://example.com/api/contact', { method: 'POST', body: 'hello' }), {});
+    assert.equal(text.status, 415);
+});
@@ -0,0 +1,267 @@
+/* ============================================
+   ANALYTICS — POST /api/collect, GET /api/stats
+   ============================================
+   Receives the event batches main.js (ANALYTICS) sends
+   with navigator.sendBeacon and folds them into one
+   counter document per UTC day in the ANALYTICS KV
+   namespace, keyed analytics:<YYYY-MM-DD>:
+
+     {
+       pageviews: { '/blog.html': 12 },
+       referrers: { 'news.ycombinator.com': 3 },
+       scroll:    { '/blog.html': { 25: 9, 50: 6, 75: 4, 100: 2 } },
+       outbound:  { 'instagram.com/azloza': 2 },
+       funnel:    { start: 5, work: 4, source: 3, sent: 1 }
+     }
+
+   Nothing about the visitor is kept — no IP, user agent
+   or ID reaches storage. KV has no atomic increment, so
+   two batches landing together can lose one's counts;
+   close enough for a personal site, and the reason this
+   stores totals rather than a raw log.
+
+   GET /api/stats?days=N merges the last N days (default
+   7, max 90). It needs the STATS_TOKEN secret sent as
+   `Authorization: Bearer <token>`, and answers 404 like
+   an unknown route until that secret is set.
+
+     POST 204            — also for dropped and rate-limited batches;
+                           beacons can't read replies
+     GET  200 { ok: true, from, to, days, totals, pageviews, referrers,
+                scroll, outbound, funnel }
+     401 / 404 / 405 / 500 { ok: false, error, message }
+*/
+
+import { checkRateLimit } from './guard.js';
+import { json, jsonError, readJson } from './http.js';
+
+const EVENT_TYPES = ['pageview', 'scroll', 'outbound', 'funnel'];
+const SCROLL_DEPTHS = [25, 50, 75, 100];
+const MAX_EVENTS = 50;
+
+/* Caps the distinct keys per counter map so junk paths can't bloat a day's document. */
+const MAX_KEYS = 500;
+const OVERFLOW_KEY = '(other)';
+
+const RETENTION_SECONDS = 400 * 24 * 60 * 60;
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 90;
+
+/* More generous than the contact form: a long visit sends a batch every few pages. */
+const COLLECT_RATE_LIMIT = { max: 30, windowSeconds: 60 };
+
+const BOT_PATTERN = /bot|crawl|spider|slurp|headless|lighthouse|preview/i;
+const HOST_PATTERN = /^[a-z0-9.-]+\.[a-z]{2,}$/i;
+const STEP_PATTERN = /^[a-z][\w-]{0,39}$/i;
+
+/**
+ * Site path without query or hash; /index.html and / count as one page.
+ */
+function cleanPath(value) {
+    if (typeof value !== 'string' || value.charAt(0) !== '/') return '';
+    return value.split(/[?#]/)[0].slice(0, 200).replace(/\/index\.html$/, '/');
+}
+
+/**
+ * Returns the event reduced to its known fields, or null when it doesn't validate.
+ */
+export function cleanEvent(event) {
+    if (!event || typeof event !== 'object' || EVENT_TYPES.indexOf(event.type) === -1) return null;
+
+    const path = cleanPath(event.path);
+    if (!path) return null;
+
+    if (event.type === 'pageview') {
+        const ref = typeof event.ref === 'string' && HOST_PATTERN.test(event.ref) ? event.ref.toLowerCase() : '';
+        return { type: 'pageview', path, ref };
+    }
+    if (event.type === 'scroll') {
+        const depth = Number(event.depth);
+        return SCROLL_DEPTHS.indexOf(depth) === -1 ? null : { type: 'scroll', path, depth };
+    }
+    if (event.type === 'outbound') {
+        const href = typeof event.href === 'string' ? event.href.slice(0, 200) : '';
+        return HOST_PATTERN.test(href.split('/')[0]) ? { type: 'outbound', path, href } : null;
+    }
+    return typeof event.step === 'string' && STEP_PATTERN.test(event.step)
+        ? { type: 'funnel', path, step: event.step }
+        : null;
+}
+
+function emptyDay() {
+    return { pageviews: {}, referrers: {}, scroll: {}, outbound: {}, funnel: {} };
+}
+
+function count(map, key, by = 1) {
+    if (!(key in map) && Object.keys(map).length >= MAX_KEYS) key = OVERFLOW_KEY;
+    map[key] = (map[key] || 0) + by;
+}
+
+/**
+ * Add one cleaned event to a day's counters.
+ */
+function fold(day, event) {
+    switch (event.type) {
+        case 'pageview':
+            count(day.pageviews, event.path);
+            if (event.ref) count(day.referrers, event.ref);
+            break;
+        case 'scroll':
+            if (!day.scroll[event.path]) {
+                if (Object.keys(day.scroll).length >= MAX_KEYS) return;
+                day.scroll[event.path] = {};
+            }
+            count(day.scroll[event.path], String(event.depth));
+            break;
+        case 'outbound':
+            count(day.outbound, event.href);
+            break;
+        case 'funnel':
+            count(day.funnel, event.step);
+            break;
+    }
+}
+
+function dayKey(date) {
+    return 'analytics:' + date.toISOString().slice(0, 10);
+}
+
+async function record(env, events) {
+    const key = dayKey(new Date());
+    const day = Object.assign(emptyDay(), await env.ANALYTICS.get(key, 'json'));
+    events.forEach(function (event) {
+        fold(day, event);
+    });
+    await env.ANALYTICS.put(key, JSON.stringify(day), { expirationTtl: RETENTION_SECONDS });
+}
+
+export async function handleCollect(request, env, ctx) {
+    if (request.method !== 'POST') {
+        return jsonError(405, 'method_not_allowed', 'Use POST to send events.');
+    }
+
+    const noContent = new Response(null, { status: 204, headers: { 'Cache-Control': 'no-store' } });
+
+    if (!env.ANALYTICS || BOT_PATTERN.test(request.headers.get('User-Agent') || '')) {
+        return noContent;
+    }
+
+    const body = await readJson(request);
+    const events = body && Array.isArray(body.events)
+        ? body.events.slice(0, MAX_EVENTS).map(cleanEvent).filter(Boolean)
+        : [];
+    if (!events.length) return noContent;
+
+    let rate;
+    try {
+        rate = await checkRateLimit(request, env, 'analytics', COLLECT_RATE_LIMIT);
+    } catch (err) {
+        return noContent;    // the limiter's store failed — drop the batch, as record() would
+    }
+    if (rate.limited) return noContent;
+
+    // The page is usually gone by now — answer at once and count in the background
+    ctx.waitUntil(record(env, events).catch(function () { /* a lost batch only skews totals */ }));
+    return noContent;
+}
+
+/**
+ * Sum the day documents into one, sorting each map by count.
+ */
+function merge(days) {
+    const total = emptyDay();
+    days.forEach(function (day) {
+        if (!day) return;
+        ['pageviews', 'referrers', 'outbound', 'funnel'].forEach(function (name) {
+            Object.keys(day[name] || {}).forEach(function (key) {
+                count(total[name], key, day[name][key]);
+            });
+        });
+        Object.keys(day.scroll || {}).forEach(function (path) {
+            total.scroll[path] = total.scroll[path] || {};
+            Object.keys(day.scroll[path]).forEach(function (depth) {
+                count(total.scroll[path], depth, day.scroll[path][depth]);
+            });
+        });
+    });
+
+    ['pageviews', 'referrers', 'outbound'].forEach(function (name) {
+        const sorted = {};
+        Object.keys(total[name])
+            .sort(function (a, b) { return total[name][b] - total[name][a]; })
+            .forEach(function (key) { sorted[key] = total[name][key]; });
+        total[name] = sorted;
+    });
+    return total;
+}
+
+function sum(map) {
+    return Object.keys(map).reduce(function (n, key) { return n + map[key]; }, 0);
+}
+
+/**
+ * Constant-time string comparison: hashing first makes both sides
+ * the same length, and every byte is checked whatever the result.
+ */
+async function sameSecret(given, expected) {
+    const encoder = new TextEncoder();
+    const digests = await Promise.all([given, expected].map(function (value) {
+        return crypto.subtle.digest('SHA-256', encoder.encode(value));
+    }));
+    const a = new Uint8Array(digests[0]);
+    const b = new Uint8Array(digests[1]);
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+    return diff === 0;
+}
+
+export async function handleStats(request, env) {
+    if (request.method !== 'GET') {
+        return jsonError(405, 'method_not_allowed', 'Use GET to read stats.');
+    }
+
+    if (!env.STATS_TOKEN) {
+        return jsonError(404, 'not_found', 'Unknown API route.');
+    }
+
+    if (!(await sameSecret(request.headers.get('Authorization') || '', 'Bearer ' + env.STATS_TOKEN))) {
+        return jsonError(401, 'unauthorized', 'A valid stats token is required.');
+    }
+
+    if (!env.ANALYTICS) {
+        return jsonError(500, 'storage_unavailable', 'Analytics are not configured.');
+    }
+
+    const requested = parseInt(new URL(request.url).searchParams.get('days'), 10);
+    const days = Math.min(MAX_DAYS, Math.max(1, requested || DEFAULT_DAYS));
+
+    const dates = [];
+    const today = new Date();
+    for (let i = days - 1; i >= 0; i--) {
+        dates.push(new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - i)));
+    }
+
+    let stored;
+    try {
+        stored = await Promise.all(dates.map(function (date) {
+            return env.ANALYTICS.get(dayKey(date), 'json');
+        }));
+    } catch (err) {
+        return jsonError(500, 'storage_failed', 'Stats could not be read.');
+    }
+
+    const totals = merge(stored);
+
+    return json(Object.assign({
+        ok: true,
+        from: dates[0].toISOString().slice(0, 10),
+        to: dates[dates.length - 1].toISOString().slice(0, 10),
+        days,
+        totals: {
+            pageviews: sum(totals.pageviews),
+            outbound: sum(totals.outbound),
+            conversations: totals.funnel.start || 0,
+            sent: totals.funnel.sent || 0,
+        },
+    }, totals));
+}
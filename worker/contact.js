@@ -0,0 +1,144 @@
+/* ============================================
+   CONTACT — POST /api/contact
+   ============================================
+   Receives inquiries from #contactForm (contact.html)
+   and the homepage conversational form. Validates the
+   payload, stores it in the CONTACT_SUBMISSIONS KV
+   namespace, and answers with JSON:
+
+     200 { ok: true, id }
+     400 { ok: false, error: 'invalid', fields: { name: '...' } }
+     400 { ok: false, error: 'too_fast' | 'rejected', message }
+     429 { ok: false, error: 'rate_limited', message, retryAfter }
+     405 / 415 / 500 { ok: false, error, message }
+
+   Spam checks come from guard.js. A tripped honeypot
+   gets a fake 200 so bots have nothing to learn from.
+*/
+
+import { checkRateLimit, isHoneypotTripped, isTooFast, junkReason } from './guard.js';
+import { json, jsonError, readJson } from './http.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/* Accepted fields and their maximum lengths. Anything else is dropped. */
+const FIELD_LIMITS = {
+    name: 120,
+    email: 254,
+    company: 160,
+    projectType: 80,
+    budget: 80,
+    timeline: 80,
+    message: 5000,
+    work: 80,
+    source: 80,
+};
+
+/**
+ * Trim every known field to a string and drop unknown keys.
+ */
+function normalize(body) {
+    const fields = {};
+    Object.keys(FIELD_LIMITS).forEach(function (key) {
+        const value = body[key];
+        fields[key] = typeof value === 'string' ? value.trim() : '';
+    });
+    return fields;
+}
+
+/**
+ * Returns a map of field name → error message. Empty when valid.
+ */
+export function validate(fields) {
+    const errors = {};
+
+    if (!fields.name) errors.name = 'Please tell me your name.';
+    if (!fields.email) {
+        errors.email = 'Please add an email so I can reply.';
+    } else if (!EMAIL_PATTERN.test(fields.email)) {
+        errors.email = 'That email address doesn\'t look right.';
+    }
+
+    // The contact page always sends a message; the convo form may only
+    // send the kind of work. One of the two has to be there.
+    if (!fields.message && !fields.work) {
+        errors.message = 'Please tell me a little about your project.';
+    }
+
+    Object.keys(FIELD_LIMITS).forEach(function (key) {
+        if (!errors[key] && fields[key].length > FIELD_LIMITS[key]) {
+            errors[key] = 'Please keep this under ' + FIELD_LIMITS[key] + ' characters.';
+        }
+    });
+
+    return errors;
+}
+
+export async function handleContact(request, env) {
+    if (request.method !== 'POST') {
+        return jsonError(405, 'method_not_allowed', 'Use POST to send a message.');
+    }
+
+    const body = await readJson(request);
+    if (!body) {
+        return jsonError(415, 'invalid_body', 'Expected a JSON object.');
+    }
+
+    if (isHoneypotTripped(body)) {
+        return json({ ok: true, id: crypto.randomUUID() });
+    }
+
+    if (isTooFast(body)) {
+        return jsonError(400, 'too_fast', 'That was quick! Give it a few seconds and try again.');
+    }
+
+    const fields = normalize(body);
+    const errors = validate(fields);
+    if (Object.keys(errors).length) {
+        return jsonError(400, 'invalid', 'Some fields need another look.', { fields: errors });
+    }
+
+    const junk = junkReason(fields);
+    if (junk) {
+        return jsonError(400, 'rejected', junk);
+    }
+
+    // Only submissions that pass the checks above use up the quota,
+    // so a visitor fixing a typo in their email isn't locked out.
+    // Fails open: if the limiter's store errors, a message that got
+    // past every other check is still worth keeping.
+    let rate;
+    try {
+        rate = await checkRateLimit(request, env, 'contact');
+    } catch (err) {
+        rate = { limited: false, retryAfter: 0 };
+    }
+    if (rate.limited) {
+        return json({
+            ok: false,
+            error: 'rate_limited',
+            message: 'Too many messages from your connection. Please try again in a few minutes.',
+            retryAfter: rate.retryAfter,
+        }, 429, { 'Retry-After': String(rate.retryAfter) });
+    }
+
+    if (!env.CONTACT_SUBMISSIONS) {
+        return jsonError(500, 'storage_unavailable', 'Submissions are not configured.');
+    }
+
+    const id = crypto.randomUUID();
+    const receivedAt = new Date().toISOString();
+    const record = Object.assign({ id, receivedAt }, fields, {
+        referer: request.headers.get('Referer') || '',
+        country: (request.cf && request.cf.country) || '',
+    });
+
+    try {
+        // Key by timestamp so `wrangler kv key list` reads in arrival order
+        await env.CONTACT_SUBMISSIONS.put('contact:' + receivedAt + ':' + id, JSON.stringify(record));
+    } catch (err) {
+        return jsonError(500, 'storage_failed', 'Your message could not be saved.');
+    }
+
+    return json({ ok: true, id });
+}
@@ -0,0 +1,79 @@
+/* ============================================
+   GUARD — Spam & abuse checks for form submissions
+   ============================================
+   Shared by every route that accepts visitor input.
+   The client half lives in main.js (INQUIRY GUARD)
+   and sends two extra fields with each payload:
+
+     website    — honeypot, hidden from people; bots fill it
+     elapsedMs  — time between the form opening and submit
+
+   Rate limits use a fixed window per IP in the
+   RATE_LIMITS KV namespace, which Miniflare emulates
+   under `wrangler dev`, so limits can be tested locally.
+*/
+
+export const MIN_SUBMIT_MS = 3000;
+export const MAX_LINKS = 2;
+
+const RATE_LIMIT = { max: 5, windowSeconds: 600 };
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+/i;
+const MARKUP_PATTERN = /\[url[=\]]|<a\s+href|\[link[=\]]/i;
+
+/**
+ * True when the hidden honeypot field came back filled in.
+ */
+export function isHoneypotTripped(body) {
+    return typeof body.website === 'string' && body.website.trim() !== '';
+}
+
+/**
+ * True when the form was submitted faster than a person could fill it.
+ * Missing timings count as too fast — real browsers always send them.
+ */
+export function isTooFast(body) {
+    const elapsed = Number(body.elapsedMs);
+    return !isFinite(elapsed) || elapsed < MIN_SUBMIT_MS;
+}
+
+/**
+ * Returns a reason string for obviously junk payloads, or '' when clean.
+ */
+export function junkReason(fields) {
+    const message = fields.message || '';
+    const links = message.match(new RegExp(LINK_PATTERN.source, 'gi')) || [];
+
+    if (links.length > MAX_LINKS) return 'Please keep links to ' + MAX_LINKS + ' or fewer.';
+    if (MARKUP_PATTERN.test(message)) return 'Please send plain text without link markup.';
+    if (LINK_PATTERN.test(fields.name || '')) return 'Names can\'t contain links.';
+
+    return '';
+}
+
+/**
+ * Counts this request against the caller's IP. Resolves to
+ * { limited, retryAfter } — retryAfter in seconds.
+ * `limit` overrides the form default of 5 per 10 minutes.
+ * With no RATE_LIMITS binding every request is allowed.
+ */
+export async function checkRateLimit(request, env, scope, limit = RATE_LIMIT) {
+    if (!env.RATE_LIMITS) return { limited: false, retryAfter: 0 };
+
+    const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+    const now = Math.floor(Date.now() / 1000);
+    const windowStart = now - (now % limit.windowSeconds);
+    const key = 'ratelimit:' + scope + ':' + ip + ':' + windowStart;
+
+    const count = parseInt(await env.RATE_LIMITS.get(key), 10) || 0;
+    const retryAfter = windowStart + limit.windowSeconds - now;
+
+    if (count >= limit.max) return { limited: true, retryAfter };
+
+    // KV's minimum TTL is 60s; the key only has to outlive its window
+    await env.RATE_LIMITS.put(key, String(count + 1), {
+        expirationTtl: Math.max(60, limit.windowSeconds),
+    });
+
+    return { limited: false, retryAfter: 0 };
+}
@@ -0,0 +1,42 @@
+/* ============================================
+   HTTP — Shared response helpers for the Worker
+   ============================================ */
+
+const JSON_HEADERS = {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store',
+};
+
+/**
+ * Build a JSON response with the standard API headers.
+ */
+export function json(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: Object.assign({}, JSON_HEADERS, headers),
+    });
+}
+
+/**
+ * Build the `{ ok: false, error }` shape every API route returns on failure.
+ * `extra` is merged in for route-specific detail (e.g. per-field messages).
+ */
+export function jsonError(status, error, message, extra = {}) {
+    return json(Object.assign({ ok: false, error, message }, extra), status);
+}
+
+/**
+ * Parse a JSON request body. Returns null when the body is missing,
+ * not JSON, or not a plain object.
+ */
+export async function readJson(request) {
+    const type = request.headers.get('Content-Type') || '';
+    if (type.indexOf('application/json') === -1) return null;
+
+    try {
+        const body = await request.json();
+        return body && typeof body === 'object' && !Array.isArray(body) ? body : null;
+    } catch (err) {
+        return null;
+    }
+}
@@ -0,0 +1,34 @@
+/* ============================================
+   WORKER — API routes in front of the static site
+   ============================================
+   wrangler.jsonc routes /api/* here first; every other
+   request falls through to the static assets binding.
+*/
+
+import { handleCollect, handleStats } from './analytics.js';
+import { handleContact } from './contact.js';
+import { jsonError } from './http.js';
+
+export default {
+    async fetch(request, env, ctx) {
+        const url = new URL(request.url);
+
+        if (url.pathname === '/api/contact') {
+            return handleContact(request, env);
+        }
+
+        if (url.pathname === '/api/collect') {
+            return handleCollect(request, env, ctx);
+        }
+
+        if (url.pathname === '/api/stats') {
+            return handleStats(request, env);
+        }
+
+        if (url.pathname.indexOf('/api/') === 0) {
+            return jsonError(404, 'not_found', 'Unknown API route.');
+        }
+
+        return env.ASSETS.fetch(request);
+    },
+};